@@ -5,18 +5,28 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { spawn, exec } from 'child_process';
+import { spawn, exec, execFile } from 'child_process';
 import { promisify } from 'util';
-import { join, dirname, resolve } from 'path';
-import { fileURLToPath } from 'url';
-import { existsSync, mkdirSync, readFileSync, writeFileSync, constants as fsConstants } from 'fs';
+import { join, dirname, resolve, relative, basename, isAbsolute, delimiter, sep } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, readdirSync, rmSync, realpathSync, watch, createReadStream, constants as fsConstants } from 'fs';
+import { createInterface } from 'readline';
+import { StringDecoder } from 'string_decoder';
 import { glob } from 'glob';
+import { Minimatch } from 'minimatch';
 import * as fs from 'fs/promises';
 import { createHash, randomBytes } from 'crypto';
-import { homedir } from 'os';
+import { homedir, tmpdir } from 'os';
+import { v4 as uuidv4 } from 'uuid';
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 // Configuration management
@@ -26,10 +36,79 @@ class Config {
       maxExecutionTime: parseInt(process.env.MCP_PYTHON_TIMEOUT) || 30000,
       maxMemoryMB: parseInt(process.env.MCP_MAX_MEMORY_MB) || 512,
       maxOutputSize: parseInt(process.env.MCP_MAX_OUTPUT_SIZE) || 10000000, // 10MB
-      allowedPackages: [], // No package restrictions
-      blockedPackages: [], // No blocked packages
+      maxDisplayItems: parseInt(process.env.MCP_MAX_DISPLAY_ITEMS) || 20,
+      // Files produced by python_execute runs, kept under workspace/runs
+      runRetentionCount: parseInt(process.env.MCP_RUN_RETENTION_COUNT) || 50,
+      runRetentionMs: parseInt(process.env.MCP_RUN_RETENTION_MS) || 24 * 60 * 60 * 1000, // 24 hours
+      maxArtifactBytes: parseInt(process.env.MCP_MAX_ARTIFACT_BYTES) || 100 * 1024 * 1024, // 100MB per run
+      maxResourceSize: parseInt(process.env.MCP_MAX_RESOURCE_SIZE) || 20 * 1024 * 1024, // 20MB per resources/read
+      maxReadSize: parseInt(process.env.MCP_MAX_READ_SIZE) || 5 * 1024 * 1024, // 5MB per file_read without a range
+      // Representation chosen for display() output, most preferred first
+      displayMimePreference: process.env.MCP_DISPLAY_MIME_PREFERENCE
+        ? process.env.MCP_DISPLAY_MIME_PREFERENCE.split(',').map(type => type.trim()).filter(Boolean)
+        : [
+          'image/png',
+          'image/jpeg',
+          'image/svg+xml',
+          'text/html',
+          'text/markdown',
+          'text/latex',
+          'application/vnd.plotly.v1+json',
+          'application/json',
+          'text/plain',
+        ],
+      // Upper bounds for per-call overrides
+      maxTimeoutLimit: parseInt(process.env.MCP_MAX_TIMEOUT_LIMIT) || 600000, // 10 minutes
+      maxMemoryLimitMB: parseInt(process.env.MCP_MAX_MEMORY_LIMIT_MB) || 4096,
+      maxOutputLimit: parseInt(process.env.MCP_MAX_OUTPUT_LIMIT) || 50000000, // 50MB
+      maxCpuSeconds: parseInt(process.env.MCP_MAX_CPU_SECONDS) || 600,
+      // Package names installs may request (PEP 503 normalized, '*' wildcards);
+      // an empty allowlist allows everything not on the blocklist
+      allowedPackages: (process.env.MCP_ALLOWED_PACKAGES || '').split(',').map(name => name.trim()).filter(Boolean),
+      blockedPackages: (process.env.MCP_BLOCKED_PACKAGES || '').split(',').map(name => name.trim()).filter(Boolean),
+      // Requirements that point pip at a URL ("name @ https://...") or a VCS
+      // checkout ("name @ git+https://...") instead of the package index.
+      // An allowlist only sees the name the caller wrote, so with one set
+      // both default to blocked.
+      allowUrlRequirements: process.env.MCP_ALLOW_URL_REQUIREMENTS
+        ? process.env.MCP_ALLOW_URL_REQUIREMENTS !== 'false'
+        : !(process.env.MCP_ALLOWED_PACKAGES || '').trim(),
+      allowVcsRequirements: process.env.MCP_ALLOW_VCS_REQUIREMENTS
+        ? process.env.MCP_ALLOW_VCS_REQUIREMENTS !== 'false'
+        : !(process.env.MCP_ALLOWED_PACKAGES || '').trim(),
       workspaceDir: process.env.MCP_WORKSPACE_DIR || join(__dirname, '..', 'workspace'),
-      enableSandbox: false, // Disable sandbox
+      // Extra directories tools may access besides the workspace (path-delimiter separated)
+      readOnlyRoots: (process.env.MCP_READONLY_ROOTS || '').split(delimiter).filter(Boolean),
+      readWriteRoots: (process.env.MCP_READWRITE_ROOTS || '').split(delimiter).filter(Boolean),
+      enableSandbox: process.env.MCP_ENABLE_SANDBOX === 'true',
+      sandboxBackend: process.env.MCP_SANDBOX_BACKEND || 'auto', // auto, bwrap, nsjail or unshare
+      sandboxAllowNetwork: process.env.MCP_SANDBOX_NETWORK === 'true',
+      sandboxCpuSeconds: parseInt(process.env.MCP_SANDBOX_CPU_SECONDS) || 60,
+      sandboxMaxProcesses: parseInt(process.env.MCP_SANDBOX_MAX_PROCESSES) || 64,
+      // Executable names os_execute_command and job_start may run; an empty
+      // allowlist allows everything not on the denylist. The denylist is
+      // advisory: it cannot see programs started through env, xargs or sh -c.
+      commandAllowlist: (process.env.MCP_COMMAND_ALLOWLIST || '').split(',').map(name => name.trim()).filter(Boolean),
+      commandDenylist: (process.env.MCP_COMMAND_DENYLIST || '').split(',').map(name => name.trim()).filter(Boolean),
+      // Package sources: a local wheelhouse used when the index is unreachable
+      // (or always, in offline mode) and an optional custom index
+      wheelhouseDir: process.env.MCP_WHEELHOUSE_DIR || join(process.env.MCP_WORKSPACE_DIR || join(__dirname, '..', 'workspace'), '.pythonrun', 'wheelhouse'),
+      pipIndexUrl: process.env.MCP_PIP_INDEX_URL || '',
+      pipExtraIndexUrls: (process.env.MCP_PIP_EXTRA_INDEX_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+      pipOffline: process.env.MCP_PIP_OFFLINE === 'true',
+      // Download/build cache shared by pip and uv, kept across resets
+      packageCacheDir: process.env.MCP_PACKAGE_CACHE_DIR || join(process.env.MCP_WORKSPACE_DIR || join(__dirname, '..', 'workspace'), '.pythonrun', 'cache'),
+      // Use uv for venv creation and installs: auto (when on PATH), true or false
+      useUv: process.env.MCP_USE_UV || 'auto',
+      // Oldest Python accepted for virtual environments (major.minor)
+      minPythonVersion: process.env.MCP_MIN_PYTHON_VERSION || '3.7',
+      maxSessions: parseInt(process.env.MCP_MAX_SESSIONS) || 5,
+      sessionIdleTimeout: parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT) || 1800000, // 30 minutes
+      maxShells: parseInt(process.env.MCP_MAX_SHELLS) || 5,
+      shellIdleTimeout: parseInt(process.env.MCP_SHELL_IDLE_TIMEOUT) || 1800000, // 30 minutes
+      maxJobs: parseInt(process.env.MCP_MAX_JOBS) || 10,
+      jobKillGracePeriod: parseInt(process.env.MCP_JOB_KILL_GRACE) || 5000,
+      jobsOnShutdown: process.env.MCP_JOBS_ON_SHUTDOWN || 'terminate', // terminate or persist
       logLevel: process.env.MCP_LOG_LEVEL || 'info'
     };
   }
@@ -78,6 +157,1216 @@ class Logger {
   }
 }
 
+// Raised when a tool argument resolves to a location outside the allowed roots
+class PathAccessError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'PathAccessError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Raised when the client cancels a tool call (notifications/cancelled)
+class OperationCancelledError extends Error {
+  constructor(message = 'Operation cancelled by client') {
+    super(message);
+    this.name = 'OperationCancelledError';
+  }
+}
+
+// Raised when an offline install cannot find packages in the wheelhouse
+class PackageUnavailableError extends Error {
+  constructor(packages, wheelhouse) {
+    super(`Not in wheelhouse: ${packages.join(', ')}. The package index is unreachable and ${wheelhouse} has no matching distribution. Add them with python_download_packages while the network is available, or copy the wheels into the wheelhouse.`);
+    this.name = 'PackageUnavailableError';
+    this.code = 'NOT_IN_WHEELHOUSE';
+    this.packages = packages;
+  }
+}
+
+// Output schema for python_execute structuredContent
+const EXECUTION_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean', description: 'True when the process exited with code 0 and no limit was hit' },
+    exit_code: { type: ['integer', 'null'], description: 'Process exit code, null when killed by a signal' },
+    signal: { type: ['string', 'null'], description: 'Signal that terminated the process, if any' },
+    timed_out: { type: 'boolean' },
+    limit_hit: { type: ['string', 'null'], enum: ['timeout', 'cpu', 'memory', 'output', null] },
+    stdout: { type: 'string' },
+    stderr: { type: 'string' },
+    stdout_truncated: { type: 'boolean' },
+    stderr_truncated: { type: 'boolean' },
+    wall_time_ms: { type: 'number' },
+    cpu_time_seconds: { type: ['number', 'null'], description: 'User + system CPU time, null if the process could not report it' },
+    peak_rss_bytes: { type: ['number', 'null'], description: 'Peak resident set size, null if the process could not report it' },
+    output_bytes: { type: 'integer', description: 'Total bytes written to stdout and stderr, including truncated output' },
+    images: { type: 'integer', description: 'Number of images returned as image content' },
+    displays: { type: 'integer', description: 'Number of display() outputs returned as extra content items' },
+    run_id: { type: 'string', description: 'Identifier of the run; artifacts live under workspace://runs/<run_id>/' },
+    artifacts: {
+      type: 'array',
+      description: 'Files produced by the run, readable with resources/read',
+      items: {
+        type: 'object',
+        properties: {
+          uri: { type: 'string' },
+          name: { type: 'string' },
+          mime_type: { type: 'string' },
+          size: { type: 'integer' },
+        },
+        required: ['uri', 'name', 'mime_type', 'size'],
+      },
+    },
+    limits: {
+      type: 'object',
+      properties: {
+        timeout_ms: { type: 'integer' },
+        memory_mb: { type: 'integer' },
+        max_output_bytes: { type: 'integer' },
+        cpu_seconds: { type: 'integer', description: '0 means unlimited' },
+      },
+      required: ['timeout_ms', 'memory_mb', 'max_output_bytes', 'cpu_seconds'],
+    },
+  },
+  required: [
+    'success', 'exit_code', 'signal', 'timed_out', 'limit_hit', 'stdout', 'stderr',
+    'stdout_truncated', 'stderr_truncated', 'wall_time_ms', 'cpu_time_seconds',
+    'peak_rss_bytes', 'output_bytes', 'images', 'displays', 'run_id', 'artifacts', 'limits',
+  ],
+};
+
+// Output schema for file_search structuredContent
+const SEARCH_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    mode: { type: 'string', enum: ['name', 'content'] },
+    pattern: { type: 'string' },
+    files: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Matching paths (name mode) or files containing matches (content mode)',
+    },
+    matches: {
+      type: 'array',
+      description: 'Matching lines (content mode only)',
+      items: {
+        type: 'object',
+        properties: {
+          file: { type: 'string' },
+          line: { type: 'integer', description: '1-based line number' },
+          column: { type: 'integer', description: '1-based column of the first match on the line' },
+          match: { type: 'string', description: 'Text matched by the pattern' },
+          text: { type: 'string', description: 'The whole line, cut at 500 characters' },
+          before: { type: 'array', items: { type: 'string' } },
+          after: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['file', 'line', 'column', 'match', 'text'],
+      },
+    },
+    files_searched: { type: 'integer' },
+    files_skipped: { type: 'integer', description: 'Binary or unreadable files that were not searched' },
+    truncated: { type: 'boolean', description: 'True when more than max_results matches exist' },
+  },
+  required: ['mode', 'pattern', 'files', 'matches', 'files_searched', 'files_skipped', 'truncated'],
+};
+
+// Output schema for directory_list structuredContent
+const DIRECTORY_LIST_SCHEMA = {
+  type: 'object',
+  properties: {
+    path: { type: 'string', description: 'Resolved directory that was listed' },
+    entries: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Path relative to the listed directory' },
+          name: { type: 'string' },
+          type: { type: 'string', enum: ['file', 'directory', 'symlink', 'other'] },
+          depth: { type: 'integer', description: '1 for direct children' },
+          size: { type: 'integer' },
+          modified: { type: 'string', description: 'ISO 8601 modification time' },
+          permissions: { type: 'string', description: 'Permission bits, e.g. rwxr-xr-x' },
+          mode: { type: 'string', description: 'Permission bits in octal, e.g. 755' },
+          symlink_target: { type: ['string', 'null'] },
+          target_type: { type: ['string', 'null'], description: 'Type of the symlink target, null when dangling' },
+        },
+        required: ['path', 'name', 'type', 'depth', 'size', 'modified', 'permissions', 'mode'],
+      },
+    },
+    total: { type: 'integer', description: 'Number of entries across all pages' },
+    next_cursor: { type: ['string', 'null'], description: 'Pass as cursor to get the next page' },
+    truncated: { type: 'boolean', description: 'True when the walk stopped at the entry limit' },
+  },
+  required: ['path', 'entries', 'total', 'next_cursor', 'truncated'],
+};
+
+// Output schema for os_execute_command structuredContent
+const COMMAND_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean', description: 'True when the command exited with code 0' },
+    exit_code: { type: ['integer', 'null'], description: 'Exit code, null when killed by a signal' },
+    signal: { type: ['string', 'null'] },
+    timed_out: { type: 'boolean' },
+    stdout: { type: 'string' },
+    stderr: { type: 'string' },
+    stdout_truncated: { type: 'boolean' },
+    stderr_truncated: { type: 'boolean' },
+    wall_time_ms: { type: 'number' },
+  },
+  required: ['success', 'exit_code', 'signal', 'timed_out', 'stdout', 'stderr', 'stdout_truncated', 'stderr_truncated', 'wall_time_ms'],
+};
+
+// Output schema for python_list_packages structuredContent
+const PACKAGE_LIST_SCHEMA = {
+  type: 'object',
+  properties: {
+    environment: { type: 'string' },
+    packages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          version: { type: 'string' },
+          latest_version: { type: 'string', description: 'Newest available version, when it is newer (outdated check only)' },
+          editable_project_location: { type: 'string' },
+        },
+        required: ['name', 'version'],
+      },
+    },
+    outdated_checked: { type: 'boolean' },
+    outdated_error: { type: ['string', 'null'], description: 'Why the outdated check failed, e.g. no network' },
+    check_ok: { type: ['boolean', 'null'], description: 'Result of pip check, null when it was not run' },
+    conflicts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          package: { type: 'string' },
+          message: { type: 'string' },
+        },
+        required: ['package', 'message'],
+      },
+    },
+  },
+  required: ['environment', 'packages', 'outdated_checked', 'outdated_error', 'check_ok', 'conflicts'],
+};
+
+// Output schema for python_package_info structuredContent
+const PACKAGE_INFO_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    version: { type: 'string' },
+    summary: { type: ['string', 'null'] },
+    location: { type: 'string', description: 'site-packages directory the package is installed in' },
+    installer: { type: ['string', 'null'] },
+    requires: { type: 'array', items: { type: 'string' }, description: 'Requirement specifiers, with markers' },
+    required_by: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          requirement: { type: 'string', description: 'How the dependent package requires this one' },
+        },
+        required: ['name', 'requirement'],
+      },
+    },
+    required_by_extras: {
+      type: 'array',
+      description: 'Packages that need this one only for optional extras',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          extras: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['name', 'extras'],
+      },
+    },
+  },
+  required: ['name', 'version', 'summary', 'location', 'installer', 'requires', 'required_by', 'required_by_extras'],
+};
+
+// Tools that declare an outputSchema
+const OUTPUT_SCHEMAS = {
+  python_execute: EXECUTION_RESULT_SCHEMA,
+  file_search: SEARCH_RESULT_SCHEMA,
+  directory_list: DIRECTORY_LIST_SCHEMA,
+  os_execute_command: COMMAND_RESULT_SCHEMA,
+  python_list_packages: PACKAGE_LIST_SCHEMA,
+  python_package_info: PACKAGE_INFO_SCHEMA,
+};
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.json': 'application/json',
+  '.jsonl': 'application/jsonl',
+  '.csv': 'text/csv',
+  '.tsv': 'text/tab-separated-values',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.xml': 'application/xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.toml': 'application/toml',
+  '.py': 'text/x-python',
+  '.js': 'text/javascript',
+  '.ts': 'text/typescript',
+  '.css': 'text/css',
+  '.sh': 'application/x-sh',
+  '.ipynb': 'application/x-ipynb+json',
+  '.parquet': 'application/vnd.apache.parquet',
+  '.npy': 'application/octet-stream',
+  '.pkl': 'application/octet-stream',
+};
+
+function getMimeType(filePath) {
+  const match = /\.[^./\\]+$/.exec(filePath);
+  return (match && MIME_TYPES[match[0].toLowerCase()]) || 'application/octet-stream';
+}
+
+function isTextMimeType(mimeType) {
+  return mimeType.startsWith('text/')
+    || ['application/json', 'application/jsonl', 'application/xml', 'application/yaml', 'application/toml', 'application/x-sh', 'image/svg+xml'].includes(mimeType)
+    || mimeType.endsWith('+json');
+}
+
+const WINDOWS_ABSOLUTE_PATH = /^(?:[a-zA-Z]:[\\/]|\\\\)/;
+
+// Quote a single argument for POSIX sh
+function shellQuote(arg) {
+  return `'${String(arg).replace(/'/g, `'\\''`)}'`;
+}
+
+// First match for an executable name on PATH, or null
+function findExecutable(name) {
+  for (const dir of (process.env.PATH || '').split(delimiter)) {
+    const candidate = join(dir, name);
+    if (dir && existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Syscalls denied inside the sandbox: kernel/module management, mounts,
+// namespaces, tracing and other escape-prone interfaces
+const SECCOMP_DENIED_SYSCALLS = {
+  x64: {
+    ptrace: 101, pivot_root: 155, chroot: 161, acct: 163, mount: 165, umount2: 166,
+    swapon: 167, swapoff: 168, reboot: 169, sethostname: 170, setdomainname: 171,
+    iopl: 172, ioperm: 173, init_module: 175, delete_module: 176, quotactl: 179,
+    kexec_load: 246, add_key: 248, request_key: 249, keyctl: 250, unshare: 272,
+    perf_event_open: 298, open_by_handle_at: 304, setns: 308, finit_module: 313,
+    kexec_file_load: 320, bpf: 321, userfaultfd: 323,
+  },
+  arm64: {
+    umount2: 39, mount: 40, pivot_root: 41, chroot: 51, quotactl: 60, acct: 89,
+    unshare: 97, kexec_load: 104, init_module: 105, delete_module: 106, ptrace: 117,
+    reboot: 142, sethostname: 161, setdomainname: 162, add_key: 217, request_key: 218,
+    keyctl: 219, swapon: 224, swapoff: 225, perf_event_open: 241, open_by_handle_at: 265,
+    setns: 268, finit_module: 273, bpf: 280, userfaultfd: 282, kexec_file_load: 294,
+  },
+};
+
+const AUDIT_ARCH = { x64: 0xC000003E, arm64: 0xC00000B7 };
+
+// Build a classic BPF seccomp program (struct sock_filter[]) that returns
+// EPERM for the denied syscalls and allows everything else. Syscalls made
+// through another ABI (e.g. i386 int 0x80 on x86_64) kill the process, since
+// their numbers would bypass the denylist.
+function buildSeccompFilter(arch) {
+  const syscalls = SECCOMP_DENIED_SYSCALLS[arch];
+  if (!syscalls) return null;
+
+  const BPF_LD_W_ABS = 0x20;
+  const BPF_JEQ_K = 0x15;
+  const BPF_JGE_K = 0x35;
+  const BPF_RET_K = 0x06;
+  const SECCOMP_RET_ALLOW = 0x7fff0000;
+  const SECCOMP_RET_ERRNO_EPERM = 0x00050001;
+  const SECCOMP_RET_KILL_PROCESS = 0x80000000;
+  const X32_SYSCALL_BIT = 0x40000000;
+
+  const numbers = Object.values(syscalls);
+  const checks = arch === 'x64' ? numbers.length + 1 : numbers.length;
+  // Layout: [ld arch, jeq arch, ld nr, ...checks, ret allow, ret errno, ret kill]
+  const allowIndex = 3 + checks;
+  const errnoIndex = allowIndex + 1;
+  const killIndex = errnoIndex + 1;
+  const program = [];
+  const jump = (from, to) => to - from - 1;
+
+  program.push([BPF_LD_W_ABS, 0, 0, 4]); // seccomp_data.arch
+  program.push([BPF_JEQ_K, 0, jump(1, killIndex), AUDIT_ARCH[arch]]);
+  program.push([BPF_LD_W_ABS, 0, 0, 0]); // seccomp_data.nr
+  if (arch === 'x64') {
+    program.push([BPF_JGE_K, jump(program.length, errnoIndex), 0, X32_SYSCALL_BIT]);
+  }
+  for (const nr of numbers) {
+    program.push([BPF_JEQ_K, jump(program.length, errnoIndex), 0, nr]);
+  }
+  program.push([BPF_RET_K, 0, 0, SECCOMP_RET_ALLOW]);
+  program.push([BPF_RET_K, 0, 0, SECCOMP_RET_ERRNO_EPERM]);
+  program.push([BPF_RET_K, 0, 0, SECCOMP_RET_KILL_PROCESS]);
+
+  const buffer = Buffer.alloc(program.length * 8);
+  program.forEach(([code, jt, jf, k], index) => {
+    buffer.writeUInt16LE(code, index * 8);
+    buffer.writeUInt8(jt, index * 8 + 2);
+    buffer.writeUInt8(jf, index * 8 + 3);
+    buffer.writeUInt32LE(k >>> 0, index * 8 + 4);
+  });
+  return buffer;
+}
+
+// Optional Linux process sandbox built on bubblewrap, nsjail or plain
+// unprivileged namespaces (unshare), chosen in that order of preference
+class Sandbox {
+  constructor(config, logger, mounts) {
+    this.config = config;
+    this.logger = logger;
+    // Outer directories are mounted first so a read-only directory nested in
+    // a writable one is mounted over it; on equal paths read-only goes last
+    this.mounts = [...mounts].sort((a, b) => a.path.length - b.path.length || Number(b.writable) - Number(a.writable));
+    this.enabled = config.get('enableSandbox');
+    this.backend = null;
+    this.executable = null;
+    this.prlimitPath = null;
+    this.seccompFile = null;
+    this.unavailableReason = null;
+  }
+
+  async probe(backend, executable) {
+    const probes = {
+      bwrap: [executable, '--ro-bind', '/', '/', '--unshare-all', '--', 'true'],
+      nsjail: [executable, '-Mo', '--quiet', '--chroot', '/', '--', '/bin/true'],
+      unshare: [executable, '--user', '--map-root-user', '--net', '--', 'true'],
+    };
+    try {
+      await execAsync(probes[backend].map(shellQuote).join(' '), { timeout: 10000 });
+      return true;
+    } catch (error) {
+      this.logger.debug(`Sandbox backend ${backend} failed its probe: ${error.message}`);
+      return false;
+    }
+  }
+
+  async detect() {
+    if (!this.enabled) {
+      this.logger.debug('Process sandbox disabled (set MCP_ENABLE_SANDBOX=true to enable)');
+      return;
+    }
+
+    if (process.platform !== 'linux') {
+      this.unavailableReason = `process sandboxing is only supported on Linux (current platform: ${process.platform})`;
+    } else {
+      const requested = this.config.get('sandboxBackend');
+      const candidates = requested === 'auto' ? ['bwrap', 'nsjail', 'unshare'] : [requested];
+      const tried = [];
+
+      for (const backend of candidates) {
+        const executable = findExecutable(backend);
+        if (!executable) {
+          tried.push(`${backend} (not found in PATH)`);
+          continue;
+        }
+        if (!(await this.probe(backend, executable))) {
+          tried.push(`${backend} (unprivileged namespaces not permitted)`);
+          continue;
+        }
+        this.backend = backend;
+        this.executable = executable;
+        break;
+      }
+
+      if (!this.backend) {
+        this.unavailableReason = `no usable sandbox backend; tried ${tried.join(', ')}`;
+      }
+    }
+
+    if (this.unavailableReason) {
+      this.logger.error(`Process sandbox is ENABLED but UNAVAILABLE: ${this.unavailableReason}. Python and shell execution will be refused until this is fixed or MCP_ENABLE_SANDBOX is unset.`);
+      return;
+    }
+
+    this.prlimitPath = findExecutable('prlimit');
+    if (!this.prlimitPath) {
+      this.logger.warn('prlimit not found; sandbox CPU-time and process-count limits will not be applied');
+    }
+
+    if (this.backend === 'bwrap') {
+      const filter = buildSeccompFilter(process.arch);
+      if (filter) {
+        const dir = await fs.mkdtemp(join(tmpdir(), 'mcp-sandbox-'));
+        this.seccompFile = join(dir, 'seccomp.bpf');
+        await fs.writeFile(this.seccompFile, filter);
+      } else {
+        this.logger.warn(`No seccomp profile for architecture ${process.arch}; running without syscall filtering`);
+      }
+    }
+
+    const seccomp = this.backend === 'nsjail' || this.seccompFile ? 'on' : 'off';
+    this.logger.info(`Process sandbox enabled using ${this.backend} (network: ${this.config.get('sandboxAllowNetwork') ? 'on' : 'off'}, seccomp: ${seccomp}, cpu: ${this.config.get('sandboxCpuSeconds')}s, processes: ${this.config.get('sandboxMaxProcesses')})`);
+    if (this.backend === 'unshare') {
+      this.logger.warn('The unshare backend isolates network and processes only; the filesystem is not read-only. Install bubblewrap for full isolation.');
+    }
+  }
+
+  // Wrap an argv so it runs inside the sandbox; returns it unchanged when disabled.
+  // terminal: the process runs on a PTY the server owns. The sandbox then
+  // keeps the controlling terminal, so Ctrl-C and Ctrl-Z typed into it still
+  // reach the foreground job; the PTY already keeps it away from the server's.
+  wrap(argv, { cwd, terminal = false }) {
+    if (!this.enabled) {
+      return argv;
+    }
+    if (!this.backend) {
+      throw new Error(`Sandbox is enabled but unavailable: ${this.unavailableReason || 'detection has not completed'}`);
+    }
+
+    const allowNetwork = this.config.get('sandboxAllowNetwork');
+    const cpuSeconds = this.config.get('sandboxCpuSeconds');
+    const maxProcesses = this.config.get('sandboxMaxProcesses');
+    const limits = this.prlimitPath
+      ? [this.prlimitPath, `--cpu=${cpuSeconds}`, `--nproc=${maxProcesses}`, '--']
+      : [];
+
+    switch (this.backend) {
+      case 'bwrap': {
+        const bwrap = [
+          this.executable,
+          '--ro-bind', '/', '/',
+          '--dev', '/dev',
+          '--proc', '/proc',
+          '--tmpfs', '/tmp',
+          ...this.mounts.flatMap(({ path, writable }) => [writable ? '--bind' : '--ro-bind', path, path]),
+          '--unshare-all',
+          ...(allowNetwork ? ['--share-net'] : []),
+          '--die-with-parent',
+          // setsid stops TIOCSTI from pushing input into the server's terminal
+          ...(terminal ? [] : ['--new-session']),
+          '--chdir', cwd,
+          ...(this.seccompFile ? ['--seccomp', '3'] : []),
+          '--',
+          ...argv,
+        ];
+        if (!this.seccompFile) {
+          return [...limits, ...bwrap];
+        }
+        // bwrap reads the compiled filter from an inherited file descriptor
+        return ['/bin/sh', '-c', 'exec 3<"$0" && exec "$@"', this.seccompFile, ...limits, ...bwrap];
+      }
+      case 'nsjail': {
+        const syscalls = Object.keys(SECCOMP_DENIED_SYSCALLS[process.arch] || SECCOMP_DENIED_SYSCALLS.x64);
+        return [
+          this.executable,
+          '-Mo',
+          '--quiet',
+          '--chroot', '/',
+          ...this.mounts.flatMap(({ path, writable }) => [writable ? '--bindmount' : '--bindmount_ro', path]),
+          '--tmpfsmount', '/tmp',
+          '--cwd', cwd,
+          '--keep_env',
+          '--time_limit', '0',
+          ...(terminal ? ['--skip_setsid'] : []),
+          ...(allowNetwork ? ['--disable_clone_newnet'] : []),
+          '--rlimit_as', 'hard',
+          '--rlimit_cpu', String(cpuSeconds),
+          '--rlimit_nproc', String(maxProcesses),
+          '--rlimit_fsize', 'hard',
+          '--rlimit_nofile', 'hard',
+          '--seccomp_string', `POLICY sandbox { ERRNO(1) { ${syscalls.join(', ')} } } USE sandbox DEFAULT ALLOW`,
+          '--',
+          ...argv,
+        ];
+      }
+      case 'unshare':
+        return [
+          ...limits,
+          this.executable,
+          '--user', '--map-root-user',
+          '--pid', '--fork', '--mount-proc',
+          ...(allowNetwork ? [] : ['--net']),
+          '--',
+          ...argv,
+        ];
+      default:
+        throw new Error(`Unknown sandbox backend: ${this.backend}`);
+    }
+  }
+
+  // Same as wrap(), rendered as a command string for exec()
+  wrapCommand(argv, options) {
+    return this.wrap(argv, options).map(shellQuote).join(' ');
+  }
+}
+
+// Python worker for stateful sessions. Requests and responses are exchanged as
+// JSON lines; the original stdout is kept private for the protocol and fd 1 is
+// pointed at stderr so stray writes from user code cannot corrupt it.
+const SESSION_WORKER_SCRIPT = `
+import contextlib
+import io
+import json
+import os
+import sys
+import traceback
+
+_protocol = os.fdopen(os.dup(1), 'w', encoding='utf-8')
+os.dup2(2, 1)
+
+_globals = {'__name__': '__main__', '__builtins__': __builtins__}
+
+for _line in sys.stdin:
+    _line = _line.strip()
+    if not _line:
+        continue
+    _request = json.loads(_line)
+    _stdout, _stderr = io.StringIO(), io.StringIO()
+    _ok = True
+    with contextlib.redirect_stdout(_stdout), contextlib.redirect_stderr(_stderr):
+        try:
+            exec(compile(_request['code'], '<session>', 'exec'), _globals)
+        except SystemExit:
+            pass
+        except BaseException:
+            _ok = False
+            _type, _value, _tb = sys.exc_info()
+            # Skip the worker's own frame so tracebacks start at user code
+            traceback.print_exception(_type, _value, _tb.tb_next)
+    _protocol.write(json.dumps({
+        'id': _request['id'],
+        'ok': _ok,
+        'stdout': _stdout.getvalue(),
+        'stderr': _stderr.getvalue(),
+    }) + '\\n')
+    _protocol.flush()
+`;
+
+// Compare dotted version strings numerically
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+function majorMinor(version) {
+  return version.split('.').slice(0, 2).join('.');
+}
+
+// Prints what python_runtimes_list reports about an interpreter
+const PYTHON_PROBE_SCRIPT = `
+import importlib.util, json, platform, sys
+print(json.dumps({
+    "version": platform.python_version(),
+    "implementation": platform.python_implementation(),
+    "executable": sys.executable,
+    "venv_support": importlib.util.find_spec("ensurepip") is not None,
+}))
+`;
+
+// Reads the dependency lists of a pyproject.toml (tomllib, or the copy of
+// tomli vendored in pip on Pythons older than 3.11)
+const PYPROJECT_READER_SCRIPT = `
+import json, sys
+try:
+    import tomllib
+except ImportError:
+    from pip._vendor import tomli as tomllib
+with open(sys.argv[1], "rb") as f:
+    project = tomllib.load(f).get("project", {})
+print(json.dumps({
+    "dependencies": project.get("dependencies"),
+    "optional": project.get("optional-dependencies", {}),
+    "dynamic": project.get("dynamic", []),
+}))
+`;
+
+// pip output meaning the package index could not be reached
+// (uv words it differently from pip)
+const PIP_NETWORK_ERROR_PATTERN = /Failed to establish a new connection|Temporary failure in name resolution|Name or service not known|Network is unreachable|Connection refused|Max retries exceeded|Read timed out|ConnectTimeoutError|ProxyError|Could not fetch URL|Failed to fetch|error sending request|dns error|tcp connect error/i;
+
+// Package names pip and uv report as unavailable from the given sources
+const PACKAGE_NOT_FOUND_PATTERN = /No matching distribution found for (\S+)|Because (\S+) was not found in the (?:package registry|provided package locations)/g;
+
+// After the index fails, installs go straight to the wheelhouse for a while
+const PIP_OFFLINE_RETRY_MS = 5 * 60 * 1000;
+
+// Describes one installed distribution and what depends on it, for
+// python_package_info; prints null when it is not installed
+const PACKAGE_INFO_SCRIPT = `
+import json, re, sys
+try:
+    from importlib import metadata
+except ImportError:
+    import importlib_metadata as metadata
+
+def normalize(name):
+    return re.sub(r"[-_.]+", "-", name).lower()
+
+def requirement_name(requirement):
+    match = re.match(r"\\s*([A-Za-z0-9][A-Za-z0-9._-]*)", requirement)
+    return normalize(match.group(1)) if match else None
+
+def requirement_extras(requirement):
+    # Extras whose marker pulls the requirement in; empty when it is unconditional
+    marker = requirement.partition(";")[2]
+    return re.findall(r"""\\bextra\\s*==\\s*['"]([^'"]+)['"]""", marker)
+
+distributions = {}
+for dist in metadata.distributions():
+    name = dist.metadata["Name"]
+    if name and normalize(name) not in distributions:
+        distributions[normalize(name)] = dist
+
+target = normalize(sys.argv[1])
+dist = distributions.get(target)
+if dist is None:
+    print(json.dumps(None))
+    sys.exit()
+
+required_by = []
+required_by_extras = []
+for other in distributions.values():
+    extras = set()
+    for requirement in other.requires or []:
+        if requirement_name(requirement) != target:
+            continue
+        requirement_extras_found = requirement_extras(requirement)
+        if not requirement_extras_found:
+            required_by.append({"name": other.metadata["Name"], "requirement": requirement})
+            break
+        extras.update(normalize(extra) for extra in requirement_extras_found)
+    else:
+        if extras:
+            required_by_extras.append({"name": other.metadata["Name"], "extras": sorted(extras)})
+
+print(json.dumps({
+    "name": dist.metadata["Name"],
+    "version": dist.version,
+    "summary": dist.metadata.get("Summary"),
+    "location": str(dist.locate_file("")),
+    "installer": (dist.read_text("INSTALLER") or "").strip() or None,
+    "requires": dist.requires or [],
+    "required_by": sorted(required_by, key=lambda item: item["name"].lower()),
+    "required_by_extras": sorted(required_by_extras, key=lambda item: item["name"].lower()),
+}))
+`;
+
+// Packaging tools python_env_sync leaves installed even when unlisted
+const SYNC_KEEP_PACKAGES = new Set(['pip', 'setuptools', 'wheel', 'distribute']);
+
+// PEP 503 normalized project name
+function normalizePackageName(name) {
+  return name.replace(/[-_.]+/g, '-').toLowerCase();
+}
+
+// Environment marker variables defined by PEP 508
+const MARKER_VARIABLES = new Set([
+  'python_version', 'python_full_version', 'os_name', 'sys_platform', 'platform_release',
+  'platform_system', 'platform_version', 'platform_machine', 'platform_python_implementation',
+  'implementation_name', 'implementation_version', 'extra',
+]);
+
+const VCS_URL_PATTERN = /^(git|hg|svn|bzr)\+/i;
+
+// Strict PEP 508 requirement parser. Returns { name, extras, specifier,
+// url, vcs, marker }; throws on anything pip would treat as something other
+// than a single requirement (options, paths, shell syntax, bare URLs).
+function parseRequirement(text) {
+  const input = text.trim();
+  let pos = 0;
+  const fail = (reason) => {
+    throw new Error(`Invalid requirement "${text}": ${reason} at position ${pos + 1}`);
+  };
+  const skipSpace = () => {
+    while (input[pos] === ' ' || input[pos] === '\t') pos++;
+  };
+  const take = (pattern) => {
+    pattern.lastIndex = pos;
+    const match = pattern.exec(input);
+    if (match) pos = pattern.lastIndex;
+    return match ? match[0] : null;
+  };
+
+  const name = take(/[A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?/y);
+  if (!name) fail('expected a package name');
+  skipSpace();
+
+  const extras = [];
+  if (take(/\[/y)) {
+    skipSpace();
+    if (!take(/\]/y)) {
+      do {
+        skipSpace();
+        const extra = take(/[A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?/y);
+        if (!extra) fail('expected an extra name');
+        extras.push(extra);
+        skipSpace();
+      } while (take(/,/y));
+      if (!take(/\]/y)) fail("expected ']' to close the extras");
+    }
+    skipSpace();
+  }
+
+  let specifier = '';
+  let url = null;
+  if (take(/@/y)) {
+    skipSpace();
+    url = take(/[^ \t]+/y);
+    if (!url || !/^[A-Za-z][A-Za-z0-9+.-]*:\/\/?[^\s;]/.test(url)) fail('expected a URL after "@"');
+    const beforeMarker = pos;
+    skipSpace();
+    // A marker after a URL must be separated by whitespace, or it would be
+    // part of the URL
+    if (pos < input.length && pos === beforeMarker) fail('expected whitespace after the URL');
+  } else {
+    const parenthesized = Boolean(take(/\(/y));
+    const clauses = [];
+    skipSpace();
+    while (true) {
+      const operator = take(/===|~=|==|!=|<=|>=|<|>/y);
+      if (!operator) {
+        if (clauses.length > 0) fail('expected a version comparison after ","');
+        break;
+      }
+      skipSpace();
+      const version = take(/[A-Za-z0-9_.*+!-]+/y);
+      if (!version) fail(`expected a version after "${operator}"`);
+      clauses.push(`${operator}${version}`);
+      skipSpace();
+      if (!take(/,/y)) break;
+      skipSpace();
+    }
+    if (parenthesized) {
+      if (!take(/\)/y)) fail("expected ')' to close the version specifier");
+      skipSpace();
+    }
+    specifier = clauses.join(',');
+  }
+
+  let marker = null;
+  if (take(/;/y)) {
+    skipSpace();
+    const start = pos;
+    const parseValue = () => {
+      const variableStart = pos;
+      const variable = take(/[A-Za-z_][A-Za-z0-9_.]*/y);
+      if (variable) {
+        if (!MARKER_VARIABLES.has(variable)) {
+          pos = variableStart;
+          fail(`unknown marker variable "${variable}"`);
+        }
+      } else if (!take(/'[^']*'|"[^"]*"/y)) {
+        fail('expected a marker variable or quoted string');
+      }
+      skipSpace();
+    };
+    const parseExpression = () => {
+      if (take(/\(/y)) {
+        skipSpace();
+        parseOr();
+        if (!take(/\)/y)) fail("expected ')' in marker");
+        skipSpace();
+        return;
+      }
+      parseValue();
+      if (!take(/===|~=|==|!=|<=|>=|<|>|in\b|not[ \t]+in\b/y)) fail('expected a marker operator');
+      skipSpace();
+      parseValue();
+    };
+    const parseAnd = () => {
+      parseExpression();
+      while (take(/and\b/y)) {
+        skipSpace();
+        parseExpression();
+      }
+    };
+    const parseOr = () => {
+      parseAnd();
+      while (take(/or\b/y)) {
+        skipSpace();
+        parseAnd();
+      }
+    };
+    parseOr();
+    marker = input.slice(start, pos).trim();
+  }
+
+  if (pos < input.length) fail(`unexpected "${input[pos]}"`);
+  return { name, extras, specifier, url, vcs: Boolean(url && VCS_URL_PATTERN.test(url)), marker };
+}
+
+// Options pip accepts on their own line in a requirements file, and what
+// each does: pull in another file, install from a path or URL, change where
+// packages are downloaded from, or only narrow what gets installed
+const REQUIREMENTS_FILE_OPTIONS = {
+  '--requirement': 'include',
+  '--constraint': 'include',
+  '--editable': 'editable',
+  '--index-url': 'source',
+  '--extra-index-url': 'source',
+  '--find-links': 'source',
+  '--trusted-host': 'source',
+  '--no-index': 'restrict',
+  '--pre': 'restrict',
+  '--prefer-binary': 'restrict',
+  '--only-binary': 'restrict',
+  '--no-binary': 'restrict',
+  '--require-hashes': 'restrict',
+};
+const REQUIREMENTS_FILE_SHORT_OPTIONS = { '-r': '--requirement', '-c': '--constraint', '-e': '--editable', '-i': '--index-url', '-f': '--find-links' };
+
+// Entries of a pip requirements file, following -r and -c includes:
+// { line, file } for a requirement (constraint: true when it came from a
+// -c file), { line, file, editable } for -e and { line, file, option, value }
+// for the other options above. Throws on options pip would accept that the
+// policy checks cannot reason about.
+async function readRequirementsFile(path, seen = new Set(), { constraint = false } = {}) {
+  // A file read as constraints still has to be checked in full if it is
+  // also included as requirements
+  const key = `${constraint ? 'c' : 'r'}:${path}`;
+  if (seen.has(key)) return [];
+  seen.add(key);
+  const content = await fs.readFile(path, 'utf8');
+  const entries = [];
+  for (const rawLine of content.replace(/\\\r?\n/g, ' ').split(/\r?\n/)) {
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) continue;
+
+    if (line.startsWith('-')) {
+      const [, flag, rest] = line.match(/^(--[A-Za-z][A-Za-z0-9-]*|-[A-Za-z])(.*)$/) || [];
+      const option = REQUIREMENTS_FILE_SHORT_OPTIONS[flag] || flag;
+      if (!REQUIREMENTS_FILE_OPTIONS[option]) {
+        throw new Error(`Unsupported option "${line}" in ${basename(path)}`);
+      }
+      const value = (rest || '').replace(/^(?:=|\s+)/, '').trim();
+      if (option === '--requirement' || option === '--constraint') {
+        if (!value) throw new Error(`Missing file name after "${flag}" in ${basename(path)}`);
+        if (/^[A-Za-z][A-Za-z0-9+.-]*:\/\//.test(value)) {
+          throw new Error(`Unsupported option "${line}" in ${basename(path)}: files can only include local files`);
+        }
+        entries.push(...await readRequirementsFile(resolve(dirname(path), value), seen, {
+          constraint: constraint || option === '--constraint',
+        }));
+      } else if (option === '--editable') {
+        entries.push({ line, file: path, editable: value });
+      } else {
+        entries.push({ line, file: path, option, value });
+      }
+      continue;
+    }
+
+    // Per-requirement options follow the requirement; only --hash is let through
+    const [requirement, ...options] = line.split(/\s+(?=--?[A-Za-z])/);
+    const unsupported = options.find(option => !/^--hash(?:=|\s)/.test(option));
+    if (unsupported) {
+      throw new Error(`Unsupported option "${unsupported}" in ${basename(path)}`);
+    }
+    entries.push(constraint ? { line: requirement, file: path, constraint } : { line: requirement, file: path });
+  }
+  return entries;
+}
+
+// How to install a lock file: every entry hashed means --require-hashes;
+// a mix means the hashes have to go, since any one of them makes pip check
+// all entries. unhashedText is the lock without hashes in that case.
+function planLockInstall(content) {
+  const requirements = content
+    .replace(/\\\r?\n/g, ' ')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+  const hashedCount = requirements.filter(line => /\s--hash(?:=|\s)/.test(line)).length;
+  return {
+    count: requirements.length,
+    requireHashes: requirements.length > 0 && hashedCount === requirements.length,
+    unhashedText: hashedCount > 0 && hashedCount < requirements.length
+      ? `${requirements.map(line => line.replace(/\s+--hash(?:=|\s+)\S+/g, '')).join('\n')}\n`
+      : null,
+  };
+}
+
+// Long-lived Python worker process that keeps its globals between executions
+class PythonSession {
+  constructor(id, dir, logger, { inheritBasePackages = true, runtime = null, baseEnvironment = null } = {}) {
+    this.id = id;
+    this.dir = dir;
+    this.venvDir = join(dir, 'venv');
+    this.inheritBasePackages = inheritBasePackages;
+    // Interpreter the venv is built from (null: the default python3) and the
+    // environment whose packages it inherits (null: the shared venv)
+    this.runtime = runtime;
+    this.baseEnvironment = baseEnvironment;
+    this.logger = logger;
+    this.createdAt = new Date();
+    this.lastUsed = new Date();
+    this.executionCount = 0;
+    this.pending = null;
+    this.buffer = '';
+    this.process = null;
+    this.closed = true;
+  }
+
+  start(pythonPath, wrap = argv => argv) {
+    const [command, ...commandArgs] = wrap([pythonPath, '-u', '-c', SESSION_WORKER_SCRIPT]);
+    const child = spawn(command, commandArgs, {
+      cwd: this.dir,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      windowsHide: true,
+    });
+    this.process = child;
+    this.buffer = '';
+    this.closed = false;
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => this.handleData(chunk));
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (chunk) => {
+      this.logger.debug(`Session ${this.id} stderr: ${chunk.trim()}`);
+    });
+    // Events from a worker replaced by a restart must not affect the new one
+    child.on('exit', (code, signal) => {
+      if (this.process !== child) return;
+      this.closed = true;
+      this.logger.debug(`Session ${this.id} worker exited (code: ${code}, signal: ${signal})`);
+      if (this.pending) {
+        this.pending.reject(new Error(`Session worker exited unexpectedly (code: ${code}, signal: ${signal})`));
+      }
+    });
+    child.on('error', (error) => {
+      if (this.process !== child) return;
+      this.closed = true;
+      this.logger.error(`Session ${this.id} worker error`, error);
+      if (this.pending) {
+        this.pending.reject(error);
+      }
+    });
+  }
+
+  handleData(chunk) {
+    this.buffer += chunk;
+    let newlineIndex;
+    while ((newlineIndex = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newlineIndex);
+      this.buffer = this.buffer.slice(newlineIndex + 1);
+      if (!line.trim()) continue;
+
+      try {
+        const response = JSON.parse(line);
+        if (this.pending && this.pending.id === response.id) {
+          this.pending.resolve(response);
+        }
+      } catch (error) {
+        this.logger.warn(`Session ${this.id} sent malformed response: ${line}`);
+      }
+    }
+  }
+
+  get busy() {
+    return this.pending !== null;
+  }
+
+  execute(code, timeout) {
+    if (this.closed) {
+      return Promise.reject(new Error(`Session ${this.id} is closed`));
+    }
+    if (this.busy) {
+      return Promise.reject(new Error(`Session ${this.id} is busy executing another request`));
+    }
+
+    this.lastUsed = new Date();
+    this.executionCount++;
+    const id = this.executionCount;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.reject(new Error(`Session ${this.id} timed out after ${timeout}ms and was terminated; its state has been lost`));
+        this.close();
+      }, timeout);
+
+      const settle = (fn) => (value) => {
+        clearTimeout(timer);
+        this.pending = null;
+        this.lastUsed = new Date();
+        fn(value);
+      };
+
+      this.pending = { id, resolve: settle(resolve), reject: settle(reject) };
+      this.process.stdin.write(JSON.stringify({ id, code }) + '\n');
+    });
+  }
+
+  close() {
+    if (!this.closed) {
+      this.closed = true;
+      this.process.stdin.end();
+      this.process.kill();
+    }
+  }
+}
+
+// Named keys shell_send can type into a terminal
+const SHELL_KEYS = {
+  enter: '\r',
+  tab: '\t',
+  escape: '\x1b',
+  backspace: '\x7f',
+  up: '\x1b[A',
+  down: '\x1b[B',
+  right: '\x1b[C',
+  left: '\x1b[D',
+  ctrl_c: '\x03',
+  ctrl_d: '\x04',
+  ctrl_z: '\x1a',
+  ctrl_l: '\x0c',
+  ctrl_u: '\x15',
+  ctrl_backslash: '\x1c',
+};
+
+// CSI, OSC and other escape sequences a terminal would interpret
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -\/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[PX^_][^\x1b]*\x1b\\|\x1b[@-Z\\-_]/g;
+
+// Reduce raw terminal output to plain text: drop escape sequences, apply
+// carriage-return overwrites and remove the remaining control characters
+function stripAnsi(text) {
+  return text
+    .replace(ANSI_PATTERN, '')
+    .replace(/\r+\n/g, '\n')
+    .split('\n')
+    .map(line => line.slice(line.lastIndexOf('\r') + 1))
+    .join('\n')
+    .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+}
+
+// Interactive shell attached to a pseudo-terminal. Output accumulates in a
+// buffer until it is read.
+class ShellSession {
+  constructor(id, logger, { maxBufferSize }) {
+    this.id = id;
+    this.logger = logger;
+    this.maxBufferSize = maxBufferSize;
+    this.createdAt = new Date();
+    this.lastUsed = new Date();
+    this.buffer = '';
+    this.droppedBytes = 0;
+    this.received = 0;
+    this.exitCode = null;
+    this.exitSignal = null;
+    this.closed = true;
+    this.terminal = null;
+    this.waiters = new Set();
+  }
+
+  start(pty, argv, { cwd, env, cols, rows }) {
+    const [file, ...args] = argv;
+    this.command = argv.join(' ');
+    this.terminal = pty.spawn(file, args, { name: 'xterm-256color', cwd, env, cols, rows });
+    this.closed = false;
+
+    this.terminal.onData((data) => {
+      this.buffer += data;
+      this.received += data.length;
+      // Keep the newest output when nobody reads for a while
+      if (this.buffer.length > this.maxBufferSize) {
+        this.droppedBytes += this.buffer.length - this.maxBufferSize;
+        this.buffer = this.buffer.slice(-this.maxBufferSize);
+      }
+      this.notify();
+    });
+    this.terminal.onExit(({ exitCode, signal }) => {
+      this.closed = true;
+      this.exitCode = exitCode;
+      this.exitSignal = signal || null;
+      this.logger.debug(`Shell ${this.id} exited (code: ${exitCode}, signal: ${signal})`);
+      this.notify();
+    });
+  }
+
+  notify() {
+    for (const waiter of this.waiters) waiter();
+  }
+
+  write(data) {
+    if (this.closed) {
+      throw new Error(`Shell ${this.id} has exited${this.exitCode !== null ? ` with code ${this.exitCode}` : ''}`);
+    }
+    this.lastUsed = new Date();
+    this.terminal.write(data);
+  }
+
+  // Wait up to timeout ms for at least minChars of new output, returning
+  // once it has been quiet for quietMs so a burst is read in one piece.
+  // minChars lets callers skip past the terminal echoing their input.
+  waitForOutput(timeout, { quietMs = 300, minChars = 1 } = {}) {
+    if (timeout <= 0 || this.closed) return Promise.resolve();
+    const target = this.received + minChars;
+
+    return new Promise((resolvePromise) => {
+      let quietTimer = null;
+      const finish = () => {
+        clearTimeout(deadline);
+        clearTimeout(quietTimer);
+        this.waiters.delete(onData);
+        resolvePromise();
+      };
+      const onData = () => {
+        if (this.closed) return finish();
+        if (this.received < target) return;
+        clearTimeout(quietTimer);
+        quietTimer = setTimeout(finish, quietMs);
+      };
+      const deadline = setTimeout(finish, timeout);
+      this.waiters.add(onData);
+    });
+  }
+
+  read() {
+    this.lastUsed = new Date();
+    const output = this.buffer;
+    const dropped = this.droppedBytes;
+    this.buffer = '';
+    this.droppedBytes = 0;
+    return { output, dropped };
+  }
+
+  close() {
+    if (!this.closed) {
+      this.closed = true;
+      try {
+        this.terminal.kill();
+      } catch (error) {
+        this.logger.debug(`Shell ${this.id} kill failed: ${error.message}`);
+      }
+    }
+    this.notify();
+  }
+}
+
 class MCPServer {
   constructor() {
     this.config = new Config();
@@ -91,15 +1380,61 @@ class MCPServer {
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true, listChanged: true },
+          logging: {},
         },
       }
     );
     
     this.workDir = this.config.get('workspaceDir');
     this.venvDir = join(this.workDir, 'venv');
+    this.versionVenvsDir = join(this.workDir, 'venvs');
+    this.versionEnvironments = new Map(); // major.minor -> environment
+    this.pythonRuntimes = null; // cached discovery promise
+    this.pipOfflineUntil = 0; // set when the package index was unreachable
+    // Server-owned state lives in a dot-directory so it never collides with
+    // user files in the workspace
+    this.stateDir = join(this.workDir, '.pythonrun');
+    this.sessionsDir = join(this.stateDir, 'sessions');
+    this.snapshotsDir = join(this.stateDir, 'snapshots');
+    this.uvPath = undefined; // resolved on first use
+    this.sessions = new Map();
+    this.pendingSessions = 0; // creations between the cap check and sessions.set
+    this.shells = new Map();
+    this.jobs = new Map();
+    this.jobsDir = join(this.workDir, 'jobs');
+    this.runsDir = join(this.workDir, 'runs');
+    this.resourceSubscriptions = new Map(); // uri -> file path
+    this.directoryWatchers = new Map(); // directory -> { watcher, uris }
+    this.pendingResourceUpdates = new Map(); // uri -> debounce timer
+    this.allowedRoots = [
+      { path: resolve(this.workDir), writable: true },
+      ...this.config.get('readWriteRoots').map(root => ({ path: resolve(root), writable: true })),
+      ...this.config.get('readOnlyRoots').map(root => ({ path: resolve(root), writable: false })),
+    ];
+    // pip trusts the wheelhouse and the package cache, so neither the file
+    // tools nor sandboxed code may plant wheels there
+    this.packageDirs = [this.config.get('wheelhouseDir'), this.config.get('packageCacheDir')]
+      .map(path => ({ path: resolve(path), writable: false }))
+      .filter(({ path }) => this.findRoot(path)?.writable);
     
     this.setupHandlers();
     this.setupWorkspace();
+    this.loadPersistedJobs();
+    this.pruneRuns().catch(error => this.logger.warn(`Failed to prune old runs: ${error.message}`));
+
+    this.sandbox = new Sandbox(
+      this.config,
+      this.logger,
+      [...this.allowedRoots, ...this.packageDirs]
+    );
+    if (this.config.get('commandDenylist').length > 0 && this.config.get('commandAllowlist').length === 0) {
+      this.logger.warn('MCP_COMMAND_DENYLIST only checks the program a command runs directly and can be bypassed through wrappers such as env, xargs or sh -c; use MCP_COMMAND_ALLOWLIST to enforce a command policy');
+    }
+    this.sandboxReady = this.sandbox.detect().catch(error => {
+      this.sandbox.unavailableReason = error.message;
+      this.logger.error('Sandbox detection failed', error);
+    });
     
     this.logger.info('MCP Python Server initialized (simplified mode)');
   }
@@ -111,7 +1446,22 @@ class MCPServer {
         mkdirSync(this.workDir, { recursive: true });
         this.logger.info(`Created workspace directory: ${this.workDir}`);
       }
-      
+
+      // Read-only mounts in the sandbox need these to exist
+      for (const dir of [this.config.get('wheelhouseDir'), this.config.get('packageCacheDir')]) {
+        try {
+          mkdirSync(dir, { recursive: true });
+        } catch (error) {
+          this.logger.warn(`Failed to create ${dir}: ${error.message}`);
+        }
+      }
+
+      // Sessions never survive a restart, so their directories are stale
+      if (existsSync(this.sessionsDir)) {
+        rmSync(this.sessionsDir, { recursive: true, force: true });
+        this.logger.debug(`Removed stale session directories: ${this.sessionsDir}`);
+      }
+
     } catch (error) {
       this.logger.error('Failed to setup workspace', error);
       throw error;
@@ -124,9 +1474,197 @@ class MCPServer {
     return true;
   }
 
+  // Every requirement must be valid PEP 508 and pass the package policy;
+  // the first one that does not is reported
   validatePackages(packages) {
-    // Allow all packages - no restrictions
-    return true;
+    if (!Array.isArray(packages) || packages.some(requirement => typeof requirement !== 'string')) {
+      throw new Error('packages must be an array of requirement strings');
+    }
+    return packages.map(requirement => {
+      const parsed = parseRequirement(requirement);
+      this.checkPackagePolicy(parsed, requirement);
+      return parsed;
+    });
+  }
+
+  // Like validatePackages, for everything in a requirements file. Options
+  // that change where pip downloads from count as URL requirements, and
+  // constraints only have to pass the URL and VCS checks since they install
+  // nothing themselves.
+  async validateRequirementsFile(path) {
+    let entries;
+    try {
+      entries = await readRequirementsFile(path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new Error(`Requirements file not found: ${error.path}`);
+    }
+
+    for (const { line, file, editable, option, constraint } of entries) {
+      if (option) {
+        if (REQUIREMENTS_FILE_OPTIONS[option] === 'source' && !this.config.get('allowUrlRequirements')) {
+          throw new Error(`Package not allowed: "${line}" in ${basename(file)} changes where pip downloads packages from; the server only allows its configured package index (set MCP_ALLOW_URL_REQUIREMENTS=true to allow it)`);
+        }
+        continue;
+      }
+      if (editable !== undefined) {
+        const vcs = VCS_URL_PATTERN.test(editable);
+        if (!this.config.get(vcs ? 'allowVcsRequirements' : 'allowUrlRequirements')) {
+          throw new Error(`Package not allowed: editable requirement "${line}" in ${basename(file)} installs from ${vcs ? 'a VCS checkout' : 'a local path or URL'}, which the server's package policy blocks`);
+        }
+        continue;
+      }
+      try {
+        if (constraint) {
+          this.checkRequirementSource(parseRequirement(line), line);
+        } else {
+          this.validatePackages([line]);
+        }
+      } catch (error) {
+        throw new Error(`${error.message} (in ${basename(file)})`);
+      }
+    }
+  }
+
+  checkPackagePolicy({ name, url, vcs }, requirement = name) {
+    const normalized = normalizePackageName(name);
+    const matches = pattern => new RegExp(`^${normalizePackageName(pattern).replace(/[^a-z0-9*-]/g, '\\$&').replace(/\*/g, '.*')}$`).test(normalized);
+    const allowlist = this.config.get('allowedPackages');
+    const blocklist = this.config.get('blockedPackages');
+
+    if (blocklist.some(matches)) {
+      throw new Error(`Package not allowed: '${name}' is on the server's package blocklist`);
+    }
+    if (allowlist.length > 0 && !allowlist.some(matches)) {
+      throw new Error(`Package not allowed: '${name}' is not on the server's package allowlist (${allowlist.join(', ')})`);
+    }
+    this.checkRequirementSource({ url, vcs }, requirement);
+  }
+
+  // The name in "name @ url" is whatever the caller wrote, so URL and VCS
+  // requirements are checked on their own
+  checkRequirementSource({ url, vcs }, requirement) {
+    if (vcs && !this.config.get('allowVcsRequirements')) {
+      throw new Error(`Package not allowed: "${requirement}" installs from a VCS checkout; the server only allows packages from the package index (set MCP_ALLOW_VCS_REQUIREMENTS=true to allow it)`);
+    }
+    if (url && !vcs && !this.config.get('allowUrlRequirements')) {
+      throw new Error(`Package not allowed: "${requirement}" installs from a direct URL; the server only allows packages from the package index (set MCP_ALLOW_URL_REQUIREMENTS=true to allow it)`);
+    }
+  }
+
+  // Path confinement - every file, directory and cwd argument goes through here
+  isWithinRoot(root, target) {
+    const rel = relative(root, target);
+    return rel === '' || (rel !== '..' && !rel.startsWith(`..${sep}`) && !isAbsolute(rel));
+  }
+
+  // The most specific root wins, so a read-only root nested inside a
+  // writable one stays read-only; on equal paths read-only wins
+  findRoot(target, roots = this.allowedRoots) {
+    let best = null;
+    for (const root of roots) {
+      if (!this.isWithinRoot(root.path, target)) continue;
+      if (!best || root.path.length > best.path.length || (root.path.length === best.path.length && !root.writable)) {
+        best = root;
+      }
+    }
+    return best;
+  }
+
+  // Resolve symlinks along the path, including dangling links and components
+  // that do not exist yet, so a link cannot be used to step outside a root.
+  async realpathLenient(target) {
+    let current = target;
+    let tail = [];
+
+    for (let hops = 0; hops < 40; hops++) {
+      try {
+        const real = await fs.realpath(current);
+        return join(real, ...tail);
+      } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+          throw error;
+        }
+      }
+
+      try {
+        const stats = await fs.lstat(current);
+        if (stats.isSymbolicLink()) {
+          // Dangling symlink: follow it by hand
+          current = resolve(dirname(current), await fs.readlink(current));
+          continue;
+        }
+      } catch {
+        // Component does not exist; fall through to its parent
+      }
+
+      const parent = dirname(current);
+      if (parent === current) {
+        return join(current, ...tail);
+      }
+      tail = [basename(current), ...tail];
+      current = parent;
+    }
+
+    throw new PathAccessError('SYMLINK_LOOP', `Too many levels of symbolic links: ${target}`, { path: target });
+  }
+
+  async resolvePath(inputPath = '.', { write = false } = {}) {
+    const rootsInfo = this.allowedRoots.map(root => `${root.path} (${root.writable ? 'read-write' : 'read-only'})`);
+
+    if (typeof inputPath !== 'string' || inputPath.includes('\0')) {
+      throw new PathAccessError('INVALID_PATH', 'Invalid path argument', { path: inputPath });
+    }
+
+    if (process.platform !== 'win32' && WINDOWS_ABSOLUTE_PATH.test(inputPath)) {
+      throw new PathAccessError('INVALID_PATH', `Windows-style path is not valid on this platform: ${inputPath}`, {
+        path: inputPath,
+        allowedRoots: rootsInfo,
+      });
+    }
+
+    const resolvedPath = resolve(this.workDir, inputPath || '.');
+    const root = this.findRoot(resolvedPath);
+
+    if (!root) {
+      throw new PathAccessError('PATH_OUTSIDE_WORKSPACE', `Access denied: ${inputPath} resolves to ${resolvedPath}, which is outside the workspace and allowed roots`, {
+        path: inputPath,
+        resolvedPath,
+        allowedRoots: rootsInfo,
+      });
+    }
+
+    const realPath = await this.realpathLenient(resolvedPath);
+    const realRoot = await this.realpathLenient(root.path);
+    if (!this.isWithinRoot(realRoot, realPath)) {
+      throw new PathAccessError('SYMLINK_ESCAPE', `Access denied: ${inputPath} points through a symbolic link to ${realPath}, outside of ${root.path}`, {
+        path: inputPath,
+        resolvedPath,
+        realPath,
+        allowedRoots: rootsInfo,
+      });
+    }
+
+    if (write) {
+      // A link inside a writable root can lead into a read-only root nested
+      // in it, so the root holding the real path has to be writable too. The
+      // package directories count as read-only roots here
+      const writeRoots = [...this.allowedRoots, ...this.packageDirs];
+      const realRoots = await Promise.all(writeRoots.map(async ({ path, writable }) => ({ path: await this.realpathLenient(path), writable })));
+      const pathRoot = this.findRoot(resolvedPath, writeRoots);
+      const realPathRoot = this.findRoot(realPath, realRoots);
+      const readOnlyRoot = !pathRoot.writable ? pathRoot : !realPathRoot?.writable ? realPathRoot : null;
+      if (readOnlyRoot) {
+        throw new PathAccessError('PATH_READ_ONLY', `Access denied: ${realPath === resolvedPath ? resolvedPath : `${resolvedPath} (${realPath})`} is in a read-only root (${readOnlyRoot.path})`, {
+          path: inputPath,
+          resolvedPath,
+          realPath,
+          allowedRoots: rootsInfo,
+        });
+      }
+    }
+
+    return resolvedPath;
   }
 
   setupHandlers() {
@@ -155,9 +1693,35 @@ class MCPServer {
                   description: 'Python packages to install before running code (e.g. ["numpy", "matplotlib"])',
                   default: [],
                 },
+                timeout_ms: {
+                  type: 'number',
+                  description: 'Wall-clock timeout in milliseconds (capped by the server maximum)',
+                },
+                memory_mb: {
+                  type: 'number',
+                  description: 'Memory limit in MB (capped by the server maximum, Linux only)',
+                },
+                max_output_bytes: {
+                  type: 'number',
+                  description: 'Maximum stdout+stderr to capture; the rest is truncated (capped by the server maximum)',
+                },
+                cpu_seconds: {
+                  type: 'number',
+                  description: 'CPU time limit in seconds (capped by the server maximum, not supported on Windows)',
+                },
+                python_version: {
+                  type: 'string',
+                  description: 'Python version to run with, e.g. "3.12" (see python_runtimes_list; default: the server\'s python3)',
+                },
+                capture_workspace_changes: {
+                  type: 'boolean',
+                  description: 'Also keep copies of workspace files the code creates or modifies as run artifacts. Scans the workspace before and after the run; files written to the directory in $MCP_OUTPUT_DIR are always kept without it.',
+                  default: false,
+                },
               },
               required: ['code'],
             },
+            outputSchema: OUTPUT_SCHEMAS.python_execute,
           },
           {
             name: 'python_install_package',
@@ -170,1227 +1734,5933 @@ class MCPServer {
                   items: { type: 'string' },
                   description: 'List of package names to install (e.g. ["sympy", "pandas"])',
                 },
+                session_id: {
+                  type: 'string',
+                  description: 'Install into the environment used by this Python session',
+                },
+                python_version: {
+                  type: 'string',
+                  description: 'Install into the environment for this Python version, e.g. "3.12"',
+                },
               },
               required: ['packages'],
             },
           },
           {
-            name: 'python_list_packages',
-            description: 'List all currently installed Python packages',
+            name: 'python_download_packages',
+            description: 'Download packages and their dependencies into the wheelhouse as wheels, so they can be installed later without network access',
             inputSchema: {
               type: 'object',
-              properties: {},
+              properties: {
+                packages: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Packages to download (e.g. ["numpy", "pandas==2.2.0"])',
+                  default: [],
+                },
+                source: {
+                  type: 'string',
+                  description: 'Requirements file whose packages should be downloaded',
+                },
+                no_deps: {
+                  type: 'boolean',
+                  description: 'Download only the listed packages, not their dependencies',
+                  default: false,
+                },
+                python_version: {
+                  type: 'string',
+                  description: 'Download wheels built for this Python version',
+                },
+              },
               additionalProperties: false,
             },
           },
           {
-            name: 'python_reset_environment',
-            description: 'Reset the Python environment (removes all packages and recreates virtual env)',
+            name: 'python_uninstall_package',
+            description: 'Uninstall Python packages from an environment',
             inputSchema: {
               type: 'object',
-              properties: {},
+              properties: {
+                packages: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Names of the packages to remove',
+                },
+                session_id: {
+                  type: 'string',
+                  description: 'Uninstall from this session\'s environment',
+                },
+                python_version: {
+                  type: 'string',
+                  description: 'Uninstall from the environment for this Python version',
+                },
+              },
+              required: ['packages'],
               additionalProperties: false,
             },
           },
-          // File Operations - Simple file management
           {
-            name: 'file_create',
-            description: 'Create a new file with content. Use this to save code, data, or any text content.',
+            name: 'python_upgrade_package',
+            description: 'Upgrade Python packages, optionally to versions matching a specifier (e.g. "pandas<3")',
             inputSchema: {
               type: 'object',
               properties: {
-                path: {
+                packages: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Packages to upgrade, with optional version specifiers (e.g. ["numpy", "pandas>=2,<3"])',
+                },
+                session_id: {
                   type: 'string',
-                  description: 'File path (e.g., "script.py", "data/output.txt")',
+                  description: 'Upgrade in this session\'s environment',
                 },
-                content: {
+                python_version: {
                   type: 'string',
-                  description: 'Content to write to the file',
-                  default: '',
+                  description: 'Upgrade in the environment for this Python version',
                 },
               },
-              required: ['path'],
+              required: ['packages'],
+              additionalProperties: false,
             },
           },
           {
-            name: 'file_read',
-            description: 'Read and return file contents. Perfect for loading code, data, or configuration files.',
+            name: 'python_package_info',
+            description: 'Show an installed package\'s version, location, requirements and the packages that depend on it',
             inputSchema: {
               type: 'object',
               properties: {
-                path: {
+                package: {
                   type: 'string',
-                  description: 'Path to the file to read',
+                  description: 'Package name',
+                },
+                session_id: {
+                  type: 'string',
+                  description: 'Look in this session\'s environment',
+                },
+                python_version: {
+                  type: 'string',
+                  description: 'Look in the environment for this Python version',
                 },
               },
-              required: ['path'],
+              required: ['package'],
+              additionalProperties: false,
             },
+            outputSchema: OUTPUT_SCHEMAS.python_package_info,
           },
           {
-            name: 'file_move',
-            description: 'Move or rename a file',
+            name: 'python_list_packages',
+            description: 'List installed Python packages as JSON, optionally with newer available versions, and report dependency conflicts found by pip check',
             inputSchema: {
               type: 'object',
               properties: {
-                source: {
+                outdated: {
+                  type: 'boolean',
+                  description: 'Also look up the newest available version of each package (needs the package index or the wheelhouse)',
+                  default: false,
+                },
+                check: {
+                  type: 'boolean',
+                  description: 'Run pip check and report broken or conflicting requirements',
+                  default: true,
+                },
+                session_id: {
                   type: 'string',
-                  description: 'Source file path',
+                  description: 'List packages of this session\'s environment instead of the shared one',
                 },
-                destination: {
+                python_version: {
                   type: 'string',
-                  description: 'Destination file path',
+                  description: 'List packages of the environment for this Python version',
                 },
               },
-              required: ['source', 'destination'],
+              additionalProperties: false,
             },
+            outputSchema: OUTPUT_SCHEMAS.python_list_packages,
           },
           {
-            name: 'file_delete',
-            description: 'Delete a file',
+            name: 'python_reset_environment',
+            description: 'Reset the Python environment (removes all packages and recreates virtual env)',
             inputSchema: {
               type: 'object',
               properties: {
-                path: {
+                session_id: {
                   type: 'string',
-                  description: 'Path to the file to delete',
+                  description: 'Reset only this session\'s environment, leaving the shared one and other sessions untouched',
+                },
+                python_version: {
+                  type: 'string',
+                  description: 'Reset only the environment for this Python version',
+                },
+                use_lock_file: {
+                  type: 'boolean',
+                  description: 'Reinstall the exact packages recorded by python_env_sync, if the environment has a lock file',
+                  default: true,
                 },
               },
-              required: ['path'],
+              additionalProperties: false,
             },
           },
           {
-            name: 'file_copy',
-            description: 'Copy a file or directory',
+            name: 'python_env_sync',
+            description: 'Make an environment match a dependency spec exactly: install what requirements.txt, pyproject.toml or an inline list asks for, remove everything else, and write a lock file with pinned versions and hashes',
             inputSchema: {
               type: 'object',
               properties: {
                 source: {
                   type: 'string',
-                  description: 'Source file or directory path',
+                  description: 'Path to a requirements.txt or pyproject.toml (default: requirements.txt, then pyproject.toml in the workspace)',
                 },
-                destination: {
+                requirements: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Inline requirement specifiers to sync to instead of a file (e.g. ["pandas>=2", "requests"])',
+                },
+                extras: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'pyproject.toml optional-dependencies groups to include',
+                  default: [],
+                },
+                session_id: {
                   type: 'string',
-                  description: 'Destination file or directory path',
+                  description: 'Sync this session\'s environment',
+                },
+                python_version: {
+                  type: 'string',
+                  description: 'Sync the environment for this Python version',
+                },
+                dry_run: {
+                  type: 'boolean',
+                  description: 'Report what would be installed and removed without changing anything',
+                  default: false,
                 },
               },
-              required: ['source', 'destination'],
+              additionalProperties: false,
             },
           },
           {
-            name: 'file_search',
-            description: 'Search for files by pattern or content',
+            name: 'python_env_snapshot',
+            description: 'Save a copy of a virtual environment under a name so python_env_restore can bring it back in seconds; also lists and deletes snapshots',
             inputSchema: {
               type: 'object',
               properties: {
-                pattern: {
+                action: {
                   type: 'string',
-                  description: 'File name pattern (glob) or content to search',
+                  enum: ['create', 'list', 'delete'],
+                  description: 'What to do',
+                  default: 'create',
                 },
-                path: {
+                name: {
                   type: 'string',
-                  description: 'Directory to search in',
-                  default: '.',
+                  description: 'Snapshot name (letters, digits, ".", "_" and "-"); defaults to a timestamp when creating',
                 },
-                search_content: {
+                overwrite: {
                   type: 'boolean',
-                  description: 'Search file contents instead of names',
+                  description: 'Replace an existing snapshot with the same name',
                   default: false,
                 },
+                session_id: {
+                  type: 'string',
+                  description: 'Snapshot this session\'s environment',
+                },
+                python_version: {
+                  type: 'string',
+                  description: 'Snapshot the environment for this Python version',
+                },
               },
-              required: ['pattern'],
+              additionalProperties: false,
             },
           },
           {
-            name: 'directory_create',
-            description: 'Create a new directory',
+            name: 'python_env_restore',
+            description: 'Replace a virtual environment with a snapshot taken by python_env_snapshot',
             inputSchema: {
               type: 'object',
               properties: {
-                path: {
+                name: {
                   type: 'string',
-                  description: 'Path where to create the directory',
+                  description: 'Snapshot to restore',
                 },
-                recursive: {
+                session_id: {
+                  type: 'string',
+                  description: 'Restore this session\'s environment (the session state is cleared)',
+                },
+                python_version: {
+                  type: 'string',
+                  description: 'Restore the environment for this Python version',
+                },
+              },
+              required: ['name'],
+              additionalProperties: false,
+            },
+          },
+          {
+            name: 'python_runtimes_list',
+            description: 'List the Python interpreters installed on the server (PATH, pyenv, system) that python_version can select',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                refresh: {
                   type: 'boolean',
-                  description: 'Create parent directories if they do not exist',
-                  default: true,
+                  description: 'Search again instead of using the cached result',
+                  default: false,
                 },
               },
-              required: ['path'],
+              additionalProperties: false,
             },
           },
+          // Python Sessions - Keep variables and imports alive between calls
           {
-            name: 'directory_list',
-            description: 'List contents of a directory',
+            name: 'python_session_create',
+            description: 'Start a persistent Python session. Variables, imports and loaded data survive between python_session_execute calls.',
             inputSchema: {
               type: 'object',
               properties: {
-                path: {
-                  type: 'string',
-                  description: 'Path to the directory to list',
-                  default: '.',
+                requirements: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Python packages to install before the session starts',
+                  default: [],
                 },
-                show_hidden: {
+                inherit_base_packages: {
                   type: 'boolean',
-                  description: 'Show hidden files and directories',
-                  default: false,
+                  description: 'Make packages from the shared environment importable in the session without reinstalling them',
+                  default: true,
+                },
+                python_version: {
+                  type: 'string',
+                  description: 'Python version for the session, e.g. "3.9"; inherited packages come from that version\'s environment',
                 },
               },
             },
           },
-          // Shell Command Execution
           {
-            name: 'os_execute_command',
-            description: 'Execute a shell command',
+            name: 'python_session_execute',
+            description: 'Execute Python code inside an existing session, reusing its global state',
             inputSchema: {
               type: 'object',
               properties: {
-                command: {
+                session_id: {
                   type: 'string',
-                  description: 'Shell command to execute',
+                  description: 'Session ID returned by python_session_create',
                 },
-                cwd: {
+                code: {
                   type: 'string',
-                  description: 'Working directory for the command',
+                  description: 'Python code to execute',
                 },
-                timeout: {
-                  type: 'number',
-                  description: 'Command timeout in milliseconds (default: 30000)',
-                  default: 30000,
+              },
+              required: ['session_id', 'code'],
+            },
+          },
+          {
+            name: 'python_session_close',
+            description: 'Close a Python session and discard its state',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                session_id: {
+                  type: 'string',
+                  description: 'Session ID to close',
                 },
               },
-              required: ['command'],
+              required: ['session_id'],
             },
           },
-        ],
-      };
+          // File Operations - Simple file management
+          {
+            name: 'file_create',
+            description: 'Create a new file with content. Use this to save code, data, or any text content.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'string',
+                  description: 'File path (e.g., "script.py", "data/output.txt")',
+                },
+                content: {
+                  type: 'string',
+                  description: 'Content to write to the file',
+                  default: '',
+                },
+                encoding: {
+                  type: 'string',
+                  enum: ['utf8', 'base64'],
+                  description: 'Encoding of content; use "base64" to upload binary files',
+                  default: 'utf8',
+                },
+              },
+              required: ['path'],
+            },
+          },
+          {
+            name: 'file_read',
+            description: 'Read and return file contents. Perfect for loading code, data, or configuration files. Binary files come back as base64 (images as image content).',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'string',
+                  description: 'Path to the file to read',
+                },
+                encoding: {
+                  type: 'string',
+                  enum: ['auto', 'utf8', 'base64'],
+                  description: 'How to return the content: "auto" detects binary files, "utf8" always returns text, "base64" always returns base64',
+                  default: 'auto',
+                },
+                offset: {
+                  type: 'number',
+                  description: 'Byte offset to start reading from',
+                },
+                length: {
+                  type: 'number',
+                  description: 'Number of bytes to read from offset',
+                },
+                start_line: {
+                  type: 'number',
+                  description: 'First line to return (1-based, text files only)',
+                },
+                end_line: {
+                  type: 'number',
+                  description: 'Last line to return (inclusive, text files only)',
+                },
+              },
+              required: ['path'],
+            },
+          },
+          {
+            name: 'file_edit',
+            description: 'Edit a file in place without rewriting it: replace an exact string, insert lines, or delete a line range',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'string',
+                  description: 'Path to the file to edit',
+                },
+                operation: {
+                  type: 'string',
+                  enum: ['replace', 'insert', 'delete'],
+                  description: 'Kind of edit (default: replace)',
+                  default: 'replace',
+                },
+                old_string: {
+                  type: 'string',
+                  description: 'replace: exact text to find; must match exactly once unless replace_all is set',
+                },
+                new_string: {
+                  type: 'string',
+                  description: 'replace: text to put in its place',
+                },
+                replace_all: {
+                  type: 'boolean',
+                  description: 'replace: replace every occurrence instead of requiring a unique match',
+                  default: false,
+                },
+                line: {
+                  type: 'number',
+                  description: 'insert: 1-based line number the text is inserted before (line count + 1 appends)',
+                },
+                text: {
+                  type: 'string',
+                  description: 'insert: text to insert',
+                },
+                start_line: {
+                  type: 'number',
+                  description: 'delete: first line to delete (1-based)',
+                },
+                end_line: {
+                  type: 'number',
+                  description: 'delete: last line to delete (inclusive, defaults to start_line)',
+                },
+              },
+              required: ['path'],
+            },
+          },
+          {
+            name: 'file_apply_patch',
+            description: 'Apply a unified diff to one or more files. All files are changed or none are; rejected hunks are reported.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                patch: {
+                  type: 'string',
+                  description: 'Unified diff (as produced by diff -u or git diff); paths are relative to the workspace',
+                },
+              },
+              required: ['patch'],
+            },
+          },
+          {
+            name: 'file_move',
+            description: 'Move or rename a file or directory, also across filesystems',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                source: {
+                  type: 'string',
+                  description: 'Source file or directory path',
+                },
+                destination: {
+                  type: 'string',
+                  description: 'Destination file or directory path',
+                },
+              },
+              required: ['source', 'destination'],
+            },
+          },
+          {
+            name: 'file_delete',
+            description: 'Delete a file',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'string',
+                  description: 'Path to the file to delete',
+                },
+              },
+              required: ['path'],
+            },
+          },
+          {
+            name: 'file_copy',
+            description: 'Copy a file or directory',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                source: {
+                  type: 'string',
+                  description: 'Source file or directory path',
+                },
+                destination: {
+                  type: 'string',
+                  description: 'Destination file or directory path',
+                },
+              },
+              required: ['source', 'destination'],
+            },
+          },
+          {
+            name: 'file_search',
+            description: 'Search for files by name, or search file contents with plain text or a regular expression',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                pattern: {
+                  type: 'string',
+                  description: 'File name pattern (glob) or content to search',
+                },
+                path: {
+                  type: 'string',
+                  description: 'Directory to search in',
+                  default: '.',
+                },
+                search_content: {
+                  type: 'boolean',
+                  description: 'Search file contents instead of names',
+                  default: false,
+                },
+                regex: {
+                  type: 'boolean',
+                  description: 'Content mode: treat pattern as a JavaScript regular expression',
+                  default: false,
+                },
+                case_sensitive: {
+                  type: 'boolean',
+                  description: 'Content mode: match case exactly',
+                  default: true,
+                },
+                include: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Content mode: only search files matching these globs (e.g. ["*.py", "src/**"])',
+                },
+                exclude: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Globs to skip (default: node_modules, venv and __pycache__)',
+                },
+                context_lines: {
+                  type: 'number',
+                  description: 'Content mode: lines of context before and after each match',
+                  default: 0,
+                },
+                before_context: {
+                  type: 'number',
+                  description: 'Content mode: lines of context before each match (overrides context_lines)',
+                },
+                after_context: {
+                  type: 'number',
+                  description: 'Content mode: lines of context after each match (overrides context_lines)',
+                },
+                max_results: {
+                  type: 'number',
+                  description: 'Maximum number of matches (content mode) or files (name mode) to return',
+                  default: 100,
+                },
+                respect_gitignore: {
+                  type: 'boolean',
+                  description: 'Content mode: skip files ignored by .gitignore',
+                  default: true,
+                },
+              },
+              required: ['pattern'],
+            },
+            outputSchema: OUTPUT_SCHEMAS.file_search,
+          },
+          {
+            name: 'directory_create',
+            description: 'Create a new directory',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'string',
+                  description: 'Path where to create the directory',
+                },
+                recursive: {
+                  type: 'boolean',
+                  description: 'Create parent directories if they do not exist',
+                  default: true,
+                },
+              },
+              required: ['path'],
+            },
+          },
+          {
+            name: 'directory_delete',
+            description: 'Delete a directory. Use dry_run to see what would be removed first. The workspace root and virtual environments cannot be deleted.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'string',
+                  description: 'Path to the directory to delete',
+                },
+                recursive: {
+                  type: 'boolean',
+                  description: 'Delete the directory and everything in it; without this only empty directories are removed',
+                  default: false,
+                },
+                dry_run: {
+                  type: 'boolean',
+                  description: 'List what would be removed without deleting anything',
+                  default: false,
+                },
+              },
+              required: ['path'],
+            },
+          },
+          {
+            name: 'directory_list',
+            description: 'List contents of a directory, optionally recursively as a tree, with sizes, timestamps, permissions and symlink targets',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'string',
+                  description: 'Path to the directory to list',
+                  default: '.',
+                },
+                show_hidden: {
+                  type: 'boolean',
+                  description: 'Show hidden files and directories',
+                  default: false,
+                },
+                recursive: {
+                  type: 'boolean',
+                  description: 'List subdirectories too, rendered as a tree',
+                  default: false,
+                },
+                max_depth: {
+                  type: 'number',
+                  description: 'With recursive: how many levels to descend (1 = direct children only)',
+                },
+                include: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Only list entries matching these globs (e.g. ["*.py"]); directories are kept when they contain matches',
+                },
+                exclude: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Skip entries matching these globs (e.g. ["venv", "**/__pycache__"])',
+                },
+                sort: {
+                  type: 'string',
+                  enum: ['name', 'size', 'mtime'],
+                  description: 'Sort key for entries within each directory',
+                  default: 'name',
+                },
+                order: {
+                  type: 'string',
+                  enum: ['asc', 'desc'],
+                  default: 'asc',
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Maximum entries per page',
+                  default: 200,
+                },
+                cursor: {
+                  type: 'string',
+                  description: 'next_cursor from a previous call, to fetch the next page',
+                },
+              },
+            },
+            outputSchema: OUTPUT_SCHEMAS.directory_list,
+          },
+          // Shell Command Execution
+          {
+            name: 'os_execute_command',
+            description: 'Execute a command, either as a shell command string or as an argv array run without a shell. Always reports the exit code.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                command: {
+                  type: 'string',
+                  description: 'Shell command to execute',
+                },
+                argv: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Program and arguments to run directly, without a shell (use instead of command)',
+                },
+                cwd: {
+                  type: 'string',
+                  description: 'Working directory for the command',
+                },
+                timeout: {
+                  type: 'number',
+                  description: 'Command timeout in milliseconds (default: 30000, capped by the server maximum)',
+                  default: 30000,
+                },
+                env: {
+                  type: 'object',
+                  additionalProperties: { type: 'string' },
+                  description: 'Environment variables to set or override',
+                },
+                activate_venv: {
+                  type: 'boolean',
+                  description: 'Run with the workspace virtual environment activated (its bin directory first on PATH)',
+                  default: false,
+                },
+                python_version: {
+                  type: 'string',
+                  description: 'Run with the environment for this Python version activated (implies activate_venv)',
+                },
+                stdin: {
+                  type: 'string',
+                  description: 'Text written to the command\'s standard input',
+                },
+              },
+            },
+            outputSchema: OUTPUT_SCHEMAS.os_execute_command,
+          },
+          // Interactive Shells - Stateful terminals for prompts, REPLs and watchers
+          {
+            name: 'shell_open',
+            description: 'Open an interactive shell on a pseudo-terminal. It starts in the workspace with the virtual environment on PATH, and keeps its state (cwd, variables, running programs) between shell_send calls.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                cwd: {
+                  type: 'string',
+                  description: 'Starting directory (default: workspace)',
+                },
+                shell: {
+                  type: 'string',
+                  description: 'Shell program to run (default: /bin/bash without startup files, or /bin/sh). Startup files of a custom shell may change PATH.',
+                },
+                env: {
+                  type: 'object',
+                  additionalProperties: { type: 'string' },
+                  description: 'Environment variables to set or override',
+                },
+                cols: {
+                  type: 'number',
+                  description: 'Terminal width in columns',
+                  default: 120,
+                },
+                rows: {
+                  type: 'number',
+                  description: 'Terminal height in rows',
+                  default: 40,
+                },
+              },
+            },
+          },
+          {
+            name: 'shell_send',
+            description: 'Send input or control keys to an interactive shell and return the output produced in response',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                session_id: {
+                  type: 'string',
+                  description: 'Shell ID returned by shell_open',
+                },
+                input: {
+                  type: 'string',
+                  description: 'Text to type into the terminal',
+                },
+                newline: {
+                  type: 'boolean',
+                  description: 'Press Enter after the input',
+                  default: true,
+                },
+                keys: {
+                  type: 'array',
+                  items: { type: 'string', enum: Object.keys(SHELL_KEYS) },
+                  description: 'Keys to press after the input, e.g. ["ctrl_c"] to interrupt or ["ctrl_d"] to send EOF',
+                },
+                wait_ms: {
+                  type: 'number',
+                  description: 'How long to wait for output before returning (milliseconds)',
+                  default: 1000,
+                },
+                strip_ansi: {
+                  type: 'boolean',
+                  description: 'Remove terminal escape sequences from the output',
+                  default: true,
+                },
+              },
+              required: ['session_id'],
+            },
+          },
+          {
+            name: 'shell_read',
+            description: 'Read output an interactive shell has produced since the last read, optionally waiting for more',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                session_id: {
+                  type: 'string',
+                  description: 'Shell ID returned by shell_open',
+                },
+                wait_ms: {
+                  type: 'number',
+                  description: 'How long to wait for new output when none is buffered (milliseconds)',
+                  default: 0,
+                },
+                strip_ansi: {
+                  type: 'boolean',
+                  description: 'Remove terminal escape sequences from the output',
+                  default: true,
+                },
+              },
+              required: ['session_id'],
+            },
+          },
+          {
+            name: 'shell_close',
+            description: 'Close an interactive shell and terminate everything running in it',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                session_id: {
+                  type: 'string',
+                  description: 'Shell ID to close',
+                },
+              },
+              required: ['session_id'],
+            },
+          },
+          // Background Jobs - Long-running executions without a timeout
+          {
+            name: 'job_start',
+            description: 'Start Python code or a shell command as a background job and return its job ID immediately. Output is written to log files in the workspace.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                code: {
+                  type: 'string',
+                  description: 'Python code to run (provide one of code, command or argv)',
+                },
+                command: {
+                  type: 'string',
+                  description: 'Shell command to run (provide one of code, command or argv)',
+                },
+                argv: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Program and arguments to run without a shell, e.g. ["make", "test"] (provide one of code, command or argv)',
+                },
+                cwd: {
+                  type: 'string',
+                  description: 'Working directory for the job',
+                },
+                requirements: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Python packages to install before a Python job starts',
+                  default: [],
+                },
+                python_version: {
+                  type: 'string',
+                  description: 'Python version for a Python job, e.g. "3.12"',
+                },
+              },
+            },
+          },
+          {
+            name: 'job_status',
+            description: 'Get the status of a background job: state, exit code, runtime and resource usage',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                job_id: {
+                  type: 'string',
+                  description: 'Job ID returned by job_start',
+                },
+              },
+              required: ['job_id'],
+            },
+          },
+          {
+            name: 'job_output',
+            description: 'Read the stdout or stderr log of a background job, either by byte offset or as the last N lines',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                job_id: {
+                  type: 'string',
+                  description: 'Job ID returned by job_start',
+                },
+                stream: {
+                  type: 'string',
+                  enum: ['stdout', 'stderr'],
+                  description: 'Which log to read',
+                  default: 'stdout',
+                },
+                offset: {
+                  type: 'number',
+                  description: 'Byte offset to start reading from (use next_offset from a previous call to poll)',
+                  default: 0,
+                },
+                length: {
+                  type: 'number',
+                  description: 'Maximum number of bytes to read',
+                  default: 65536,
+                },
+                tail_lines: {
+                  type: 'number',
+                  description: 'Return only the last N lines instead of reading by offset',
+                },
+              },
+              required: ['job_id'],
+            },
+          },
+          {
+            name: 'job_cancel',
+            description: 'Cancel a running background job (SIGTERM, then SIGKILL after a grace period)',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                job_id: {
+                  type: 'string',
+                  description: 'Job ID to cancel',
+                },
+              },
+              required: ['job_id'],
+            },
+          },
+          {
+            name: 'job_list',
+            description: 'List background jobs and their states',
+            inputSchema: {
+              type: 'object',
+              properties: {},
+              additionalProperties: false,
+            },
+          },
+        ],
+      };
+    });
+
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const { name, arguments: args } = request.params;
+
+      try {
+        // Enhanced error handling with detailed logging
+        this.logger.debug(`Tool called: ${name} with args: ${JSON.stringify(args)}`);
+
+        switch (name) {
+          // Python Tools
+          case 'python_execute':
+            return await this.executePython(args, extra);
+          case 'python_install_package':
+            return await this.installPackages(args, await this.getPythonEnvironment(args), extra);
+          case 'python_list_packages':
+            return await this.listPackages(args, await this.getPythonEnvironment(args));
+          case 'python_reset_environment':
+            return await this.resetEnvironment(await this.getPythonEnvironment(args), { useLockFile: args.use_lock_file !== false });
+          case 'python_uninstall_package':
+            return await this.uninstallPackages(args, await this.getPythonEnvironment(args), extra);
+          case 'python_upgrade_package':
+            return await this.upgradePackages(args, await this.getPythonEnvironment(args), extra);
+          case 'python_package_info':
+            return await this.packageInfo(args, await this.getPythonEnvironment(args));
+          case 'python_download_packages':
+            return await this.downloadPackages(args, await this.environmentForVersion(args.python_version), extra);
+          case 'python_env_sync':
+            return await this.syncEnvironment(args, await this.getPythonEnvironment(args), extra);
+          case 'python_env_snapshot':
+            return await this.snapshotEnvironment(args, await this.getPythonEnvironment(args));
+          case 'python_env_restore':
+            return await this.restoreEnvironment(args, await this.getPythonEnvironment(args));
+          case 'python_runtimes_list':
+            return await this.listPythonRuntimes(args);
+          // Python Sessions
+          case 'python_session_create':
+            return await this.createSession(args);
+          case 'python_session_execute':
+            return await this.executeInSession(args);
+          case 'python_session_close':
+            return await this.closeSession(args);
+          // File and Directory Operations
+          case 'file_create':
+            return await this.createFile(args);
+          case 'file_read':
+            return await this.readFile(args);
+          case 'file_edit':
+            return await this.editFile(args);
+          case 'file_apply_patch':
+            return await this.applyPatch(args);
+          case 'file_move':
+            return await this.moveFile(args);
+          case 'file_copy':
+            return await this.copyFile(args);
+          case 'file_search':
+            return await this.searchFiles(args, extra);
+          case 'file_delete':
+            return await this.deleteFile(args);
+          case 'directory_create':
+            return await this.createDirectory(args);
+          case 'directory_delete':
+            return await this.deleteDirectory(args);
+          case 'directory_list':
+            return await this.listDirectory(args);
+          // Shell Command Execution
+          case 'os_execute_command':
+            return await this.executeCommand(args, extra);
+          // Interactive Shells
+          case 'shell_open':
+            return await this.openShell(args);
+          case 'shell_send':
+            return await this.sendToShell(args);
+          case 'shell_read':
+            return await this.readShell(args);
+          case 'shell_close':
+            return await this.closeShell(args);
+          // Background Jobs
+          case 'job_start':
+            return await this.startJob(args);
+          case 'job_status':
+            return await this.jobStatus(args);
+          case 'job_output':
+            return await this.jobOutput(args);
+          case 'job_cancel':
+            return await this.cancelJob(args);
+          case 'job_list':
+            return await this.listJobs();
+          default:
+            throw new Error(`Unknown tool: ${name}`);
+        }
+      } catch (error) {
+        if (error instanceof OperationCancelledError) {
+          this.logger.info(`Tool ${name} cancelled by client`);
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Cancelled: ${error.message}`,
+              },
+            ],
+            isError: true,
+          };
+        }
+
+        this.logger.error(`Tool execution failed for ${name}`, error);
+        
+        // Enhanced error response with more context
+        const errorId = randomBytes(8).toString('hex');
+        const errorMessage = `Error [${errorId}]: ${error.message}`;
+
+        // Path violations carry machine-readable details for the caller.
+        // Tools with an outputSchema only get the text, since clients
+        // validate structuredContent against that schema.
+        if (error instanceof PathAccessError) {
+          const hasOutputSchema = Boolean(OUTPUT_SCHEMAS[name]);
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `${errorMessage}\n\n${JSON.stringify({ code: error.code, ...error.details }, null, 2)}`,
+              },
+            ],
+            ...(hasOutputSchema ? {} : {
+              structuredContent: {
+                error: { id: errorId, code: error.code, message: error.message, ...error.details },
+              },
+            }),
+            isError: true,
+          };
+        }
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: errorMessage,
+            },
+          ],
+          isError: true,
+        };
+      }
+    });
+
+    this.server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      return await this.listResources(request.params?.cursor);
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: [
+          {
+            uriTemplate: `${pathToFileURL(resolve(this.workDir)).href}/{+path}`,
+            name: 'workspace-file',
+            title: 'Workspace file',
+            description: 'Any file in the workspace, addressed by its path relative to the workspace root',
+          },
+          {
+            uriTemplate: 'workspace://runs/{run_id}/{+path}',
+            name: 'run-artifact',
+            title: 'Run artifact',
+            description: 'A file produced by a python_execute run',
+          },
+        ],
+      };
+    });
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      return uri.startsWith('file:')
+        ? await this.readWorkspaceResource(uri)
+        : await this.readRunResource(uri);
+    });
+
+    this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      await this.subscribeResource(request.params.uri);
+      return {};
+    });
+
+    this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.unsubscribeResource(request.params.uri);
+      return {};
+    });
+  }
+
+  // Process execution helpers
+  // Run a shell command with spawn so output is available while it runs.
+  // Resolves (never rejects on exit status) with everything captured so far,
+  // so partial output survives timeouts and kills.
+  // An argv array runs directly without a shell.
+  runProcess(command, { cwd, timeout, maxOutputSize = this.config.get('maxOutputSize'), env, onOutput, signal, stdin } = {}) {
+    return new Promise((resolvePromise, rejectPromise) => {
+      const isWindows = process.platform === 'win32';
+      const options = {
+        cwd,
+        env: env || process.env,
+        windowsHide: true,
+        // Own process group on POSIX so the whole tree can be killed at once
+        detached: !isWindows,
+      };
+      const child = Array.isArray(command)
+        ? spawn(command[0], command.slice(1), { ...options, shell: false })
+        : spawn(command, { ...options, shell: true });
+
+      // Close stdin after any input so programs that read it do not hang
+      child.stdin.on('error', () => {});
+      child.stdin.end(stdin ?? '');
+
+      const output = { stdout: '', stderr: '' };
+      let captured = 0;
+      let outputBytes = 0;
+      let truncated = false;
+      const truncatedStreams = { stdout: false, stderr: false };
+      let timedOut = false;
+      let cancelled = false;
+
+      // One decoder per stream keeps multi-byte characters that straddle
+      // chunk boundaries intact
+      const decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+      const append = (stream, text) => {
+        if (!text) return;
+        if (captured < maxOutputSize) {
+          // The cap is in bytes, so cut on a UTF-8 character boundary
+          let kept = text;
+          const bytes = Buffer.from(text, 'utf8');
+          if (bytes.length > maxOutputSize - captured) {
+            let end = maxOutputSize - captured;
+            while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+            kept = bytes.subarray(0, end).toString('utf8');
+            truncated = truncatedStreams[stream] = true;
+          }
+          output[stream] += kept;
+          captured += Buffer.byteLength(kept, 'utf8');
+        } else {
+          truncated = truncatedStreams[stream] = true;
+        }
+        if (onOutput) onOutput(stream, text);
+      };
+      const collect = (stream) => (chunk) => {
+        outputBytes += chunk.length;
+        append(stream, decoders[stream].write(chunk));
+      };
+
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+
+      const timer = timeout > 0 ? setTimeout(() => {
+        timedOut = true;
+        this.killProcessTree(child);
+      }, timeout) : null;
+
+      const onAbort = () => {
+        cancelled = true;
+        this.killProcessTree(child);
+      };
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+        } else {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      }
+
+      child.on('error', (error) => {
+        if (timer) clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        rejectPromise(error);
+      });
+
+      child.on('close', (exitCode, exitSignal) => {
+        if (timer) clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        append('stdout', decoders.stdout.end());
+        append('stderr', decoders.stderr.end());
+        if (truncated) {
+          output.stderr += `\n[Output truncated at ${maxOutputSize} bytes]`;
+        }
+        resolvePromise({ ...output, exitCode, signal: exitSignal, timedOut, cancelled, truncated, truncatedStreams, outputBytes });
+      });
+    });
+  }
+
+  formatPartialOutput(message, stdout, stderr) {
+    let text = message;
+    if (stdout) text += `\n\nPartial stdout:\n${stdout}`;
+    if (stderr) text += `\n\nPartial stderr:\n${stderr}`;
+    return text;
+  }
+
+  killProcessTree(child, signal = 'SIGKILL') {
+    try {
+      if (process.platform === 'win32') {
+        exec(`taskkill /pid ${child.pid} /T /F`, () => {});
+      } else {
+        process.kill(-child.pid, signal);
+      }
+    } catch (error) {
+      // Group already gone; fall back to the direct child
+      try {
+        child.kill(signal);
+      } catch {
+        // Process already exited
+      }
+    }
+  }
+
+  // Forward process output to the client while a tool runs: as progress
+  // notifications when the request carries a progressToken, otherwise as
+  // logging notifications. Chunks are coalesced to avoid flooding the client.
+  createOutputStreamer(extra = {}, loggerName) {
+    const progressToken = extra._meta?.progressToken;
+    let pending = '';
+    let progress = 0;
+    let timer = null;
+
+    const send = async () => {
+      timer = null;
+      if (!pending) return;
+      const message = pending;
+      pending = '';
+
+      try {
+        if (progressToken !== undefined && extra.sendNotification) {
+          progress += 1;
+          await extra.sendNotification({
+            method: 'notifications/progress',
+            params: { progressToken, progress, message },
+          });
+        } else {
+          await this.server.sendLoggingMessage({ level: 'info', logger: loggerName, data: message }, extra.sessionId);
+        }
+      } catch (error) {
+        this.logger.debug(`Failed to stream output for ${loggerName}: ${error.message}`);
+      }
+    };
+
+    return {
+      push: (stream, text) => {
+        pending += stream === 'stderr' ? `[stderr] ${text}` : text;
+        if (!timer) {
+          timer = setTimeout(send, 200);
+        }
+      },
+      flush: async () => {
+        if (timer) clearTimeout(timer);
+        await send();
+      },
+    };
+  }
+
+  // Python Tools Implementation
+  // Python environments are the shared venv (null), a PythonSession, or a
+  // per-version environment from getVersionEnvironment(); the latter two
+  // both expose venvDir, dir and runtime.
+  getVenvDir(session = null) {
+    return session ? session.venvDir : this.venvDir;
+  }
+
+  describeEnvironment(session = null) {
+    if (!session) return 'global environment';
+    return session instanceof PythonSession ? `session ${session.id}` : `Python ${session.version} environment`;
+  }
+
+  // Reject interpreters older than the configured minimum
+  checkPythonVersion(version) {
+    const [major, minor] = version.split('.').map(Number);
+    const [minMajor, minMinor = 0] = this.config.get('minPythonVersion').split('.').map(Number);
+    if (major < minMajor || (major === minMajor && minor < minMinor)) {
+      throw new Error(`Python ${version} is older than the minimum supported version ${this.config.get('minPythonVersion')} (MCP_MIN_PYTHON_VERSION)`);
+    }
+  }
+
+  // The interpreter used when no python_version is requested
+  async findDefaultPython() {
+    for (const command of ['python3', 'python']) {
+      try {
+        const { stdout, stderr } = await execAsync(`${command} --version`);
+        const match = `${stdout}${stderr}`.match(/Python (\d+\.\d+\.\d+)/);
+        if (match) {
+          this.logger.debug(`Found Python: ${match[0]}`);
+          return { command, version: match[1] };
+        }
+      } catch {
+        // Try the next name
+      }
+    }
+    throw new Error(`Neither python3 nor python found in PATH. Please install Python ${this.config.get('minPythonVersion')}+ and ensure it is in your PATH.`);
+  }
+
+  async ensureVirtualEnvironment(session = null) {
+    const venvDir = this.getVenvDir(session);
+    
+    if (!existsSync(venvDir)) {
+      try {
+        this.logger.debug(`Creating virtual environment at: ${venvDir}`);
+        
+        // Use the requested interpreter, or whichever python3 is on PATH
+        const runtime = session && session.runtime;
+        const { command: pythonCmd, version: pythonVersion } = runtime
+          ? { command: runtime.executable, version: runtime.version }
+          : await this.findDefaultPython();
+        this.checkPythonVersion(pythonVersion);
+        
+        // Create virtual environment with detailed error handling; uv is much
+        // faster, and --seed gives the venv the pip the other tools rely on
+        await fs.mkdir(dirname(venvDir), { recursive: true });
+        const uvPath = this.getUvPath();
+        let created = false;
+        if (uvPath) {
+          // Offline, seeding only works from uv's cache
+          const offline = this.config.get('pipOffline') || Date.now() < this.pipOfflineUntil;
+          try {
+            this.logger.debug(`Executing: uv venv --seed --python ${pythonCmd} ${venvDir}`);
+            await execFileAsync(uvPath, ['venv', '--seed', ...(offline ? ['--offline'] : []), '--python', pythonCmd, venvDir], { env: this.getPackageToolEnv() });
+            created = true;
+          } catch (error) {
+            this.logger.warn(`uv venv failed, falling back to python -m venv: ${(error.stderr || error.message).trim()}`);
+            if (PIP_NETWORK_ERROR_PATTERN.test(error.stderr || '')) {
+              this.pipOfflineUntil = Date.now() + PIP_OFFLINE_RETRY_MS;
+            }
+            await fs.rm(venvDir, { recursive: true, force: true });
+          }
+        }
+        if (!created) {
+          this.logger.debug(`Executing: ${pythonCmd} -m venv ${venvDir}`);
+          await execFileAsync(pythonCmd, ['-m', 'venv', venvDir]);
+        }
+        
+        // Verify virtual environment was created successfully
+        const pythonPath = await this.getPythonPath(session);
+        const pipPath = await this.getPipPath(session);
+
+        if (session && session.inheritBasePackages) {
+          await this.linkBasePackages(session);
+        }
+        
+        this.logger.info(`Virtual environment created: ${venvDir} (Python ${pythonVersion})`);
+        this.logger.debug(`Python executable: ${pythonPath}`);
+        this.logger.debug(`Pip executable: ${pipPath}`);
+        
+      } catch (error) {
+        this.logger.error(`Failed to create virtual environment at ${venvDir}`, error);
+        // A half-created venv would be mistaken for a working one next time
+        await fs.rm(venvDir, { recursive: true, force: true }).catch(() => {});
+        throw new Error(`Failed to create virtual environment: ${(error.stderr || '').trim() || error.message}`);
+      }
+    } else {
+      // Verify existing virtual environment is functional
+      try {
+        const pythonPath = await this.getPythonPath(session);
+        const { stdout } = await execAsync(`"${pythonPath}" --version`);
+        this.logger.debug(`Using existing virtual environment: ${venvDir} (${stdout.trim()})`);
+      } catch (error) {
+        this.logger.warn(`Virtual environment at ${venvDir} appears to be corrupted, recreating...`);
+        await fs.rm(venvDir, { recursive: true, force: true });
+        return this.ensureVirtualEnvironment(session);
+      }
+    }
+  }
+
+  // Version of the shared venv, or of the interpreter it would be built from
+  async getDefaultPythonVersion() {
+    try {
+      const config = await fs.readFile(join(this.venvDir, 'pyvenv.cfg'), 'utf8');
+      const match = config.match(/^version(?:_info)?\s*=\s*(\d+\.\d+\.\d+)/m);
+      if (match) return match[1];
+    } catch {
+      // No shared venv yet
+    }
+    return (await this.findDefaultPython()).version;
+  }
+
+  // Interpreters found on PATH, under pyenv and in the usual system
+  // locations, deduplicated by the executable they resolve to
+  discoverPythonRuntimes({ refresh = false } = {}) {
+    if (!this.pythonRuntimes || refresh) {
+      this.pythonRuntimes = this.findPythonRuntimes().catch(error => {
+        this.pythonRuntimes = null;
+        throw error;
+      });
+    }
+    return this.pythonRuntimes;
+  }
+
+  async findPythonRuntimes() {
+    const isWindows = process.platform === 'win32';
+    const namePattern = isWindows ? /^python(3(\.\d+)?)?\.exe$/i : /^python(3(\.\d+)?)?$/;
+    const candidates = [];
+    const addDirectory = (dir, source) => {
+      try {
+        for (const name of readdirSync(dir).sort()) {
+          if (namePattern.test(name)) candidates.push({ path: join(dir, name), source });
+        }
+      } catch {
+        // Missing or unreadable directory
+      }
+    };
+
+    for (const dir of (process.env.PATH || '').split(delimiter).filter(Boolean)) {
+      addDirectory(dir, 'PATH');
+    }
+    const pyenvRoot = process.env.PYENV_ROOT || join(homedir(), '.pyenv');
+    try {
+      for (const version of readdirSync(join(pyenvRoot, 'versions')).sort()) {
+        addDirectory(join(pyenvRoot, 'versions', version, isWindows ? '' : 'bin'), 'pyenv');
+      }
+    } catch {
+      // pyenv not installed
+    }
+    if (!isWindows) {
+      for (const dir of ['/usr/bin', '/usr/local/bin', '/opt/homebrew/bin']) {
+        addDirectory(dir, 'system');
+      }
+    }
+
+    const runtimes = new Map();
+    const seenPaths = new Set();
+    for (const candidate of candidates) {
+      if (seenPaths.has(candidate.path)) continue;
+      seenPaths.add(candidate.path);
+      // Skip the workspace's own venvs, which are on PATH when activated
+      if (this.isWithinRoot(resolve(this.workDir), resolve(candidate.path))) continue;
+
+      try {
+        const { stdout } = await execFileAsync(candidate.path, ['-c', PYTHON_PROBE_SCRIPT], { timeout: 5000 });
+        const info = JSON.parse(stdout);
+        const key = await fs.realpath(info.executable).catch(() => info.executable);
+        if (runtimes.has(key)) continue;
+        runtimes.set(key, {
+          version: info.version,
+          implementation: info.implementation,
+          executable: info.executable,
+          found_at: candidate.path,
+          source: candidate.source,
+          venv_support: info.venv_support,
+        });
+      } catch (error) {
+        this.logger.debug(`Skipping Python candidate ${candidate.path}: ${error.message}`);
+      }
+    }
+
+    return [...runtimes.values()].sort((a, b) => compareVersions(b.version, a.version));
+  }
+
+  // Pick the newest supported interpreter matching "3", "3.12" or "3.12.1"
+  async findPythonRuntime(requested) {
+    const match = String(requested).trim().match(/^(?:python\s*)?(\d+(?:\.\d+){0,2})$/i);
+    if (!match) {
+      throw new Error(`Invalid python_version "${requested}". Use a version such as "3.12" or "3.12.1".`);
+    }
+    const wanted = match[1];
+    const runtimes = await this.discoverPythonRuntimes();
+    const matching = runtimes.filter(runtime => runtime.version === wanted || runtime.version.startsWith(`${wanted}.`));
+    if (matching.length === 0) {
+      const available = [...new Set(runtimes.map(runtime => runtime.version))].join(', ') || 'none';
+      throw new Error(`No Python ${wanted} interpreter found (available: ${available}). Run python_runtimes_list with refresh after installing one.`);
+    }
+    const runtime = matching.find(candidate => candidate.venv_support) || matching[0];
+    this.checkPythonVersion(runtime.version);
+    return runtime;
+  }
+
+  // Environment for a python_version: one venv per major.minor, where the
+  // default interpreter's version keeps using the shared venv
+  async environmentForVersion(pythonVersion) {
+    if (!pythonVersion) return null;
+    const runtime = await this.findPythonRuntime(pythonVersion);
+    const key = majorMinor(runtime.version);
+    if (key === majorMinor(await this.getDefaultPythonVersion())) {
+      return null;
+    }
+    return this.getVersionEnvironment(runtime);
+  }
+
+  getVersionEnvironment(runtime) {
+    const key = majorMinor(runtime.version);
+    if (!this.versionEnvironments.has(key)) {
+      this.versionEnvironments.set(key, {
+        version: key,
+        runtime,
+        venvDir: join(this.versionVenvsDir, key),
+        dir: this.workDir,
+      });
+    }
+    return this.versionEnvironments.get(key);
+  }
+
+  // Environment selected by session_id or python_version; null is the shared venv
+  async getPythonEnvironment(args = {}) {
+    const session = this.getOptionalSession(args);
+    if (session) {
+      if (args.python_version) {
+        throw new Error('python_version cannot be combined with session_id; a session keeps the Python version it was created with');
+      }
+      return session;
+    }
+    return this.environmentForVersion(args.python_version);
+  }
+
+  async listPythonRuntimes(args = {}) {
+    const runtimes = await this.discoverPythonRuntimes({ refresh: args.refresh === true });
+    const defaultVersion = await this.getDefaultPythonVersion().catch(() => null);
+
+    if (runtimes.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'No Python interpreters found on PATH, under pyenv or in the system directories.',
+          },
+        ],
+      };
+    }
+
+    const lines = runtimes.map(runtime => {
+      const key = majorMinor(runtime.version);
+      const notes = [runtime.source];
+      if (runtime.version === defaultVersion) notes.push('default');
+      try {
+        this.checkPythonVersion(runtime.version);
+      } catch {
+        notes.push(`below minimum ${this.config.get('minPythonVersion')}`);
+      }
+      if (!runtime.venv_support) notes.push('no venv/ensurepip support');
+      const venvDir = defaultVersion && key === majorMinor(defaultVersion) ? this.venvDir : join(this.versionVenvsDir, key);
+      const venvState = existsSync(venvDir) ? `venv: ${relative(this.workDir, venvDir)}` : 'venv: not created';
+      return `${runtime.implementation} ${runtime.version}  ${runtime.executable}  (${notes.join(', ')}; ${venvState})`;
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Python runtimes (${runtimes.length}):\n${lines.join('\n')}\n\nSelect one with python_version, e.g. "${majorMinor(runtimes[0].version)}".`,
+        },
+      ],
+    };
+  }
+
+  // Make packages from the shared base venv importable inside a session venv
+  // through a .pth file, so common libraries are not reinstalled per session.
+  // Packages installed into the session venv still take precedence.
+  async linkBasePackages(session) {
+    try {
+      await this.ensureVirtualEnvironment(session.baseEnvironment);
+
+      const sitePackagesCommand = `-c "import sysconfig; print(sysconfig.get_paths()['purelib'])"`;
+      const basePython = await this.getPythonPath(session.baseEnvironment);
+      const sessionPython = await this.getPythonPath(session);
+      const { stdout: baseSitePackages } = await execAsync(`"${basePython}" ${sitePackagesCommand}`);
+      const { stdout: sessionSitePackages } = await execAsync(`"${sessionPython}" ${sitePackagesCommand}`);
+
+      await fs.writeFile(
+        join(sessionSitePackages.trim(), '_mcp_base_venv.pth'),
+        `${baseSitePackages.trim()}\n`,
+        'utf8'
+      );
+      this.logger.debug(`Session ${session.id} inherits packages from ${baseSitePackages.trim()}`);
+    } catch (error) {
+      this.logger.warn(`Failed to link base packages into session ${session.id}: ${error.message}`);
+    }
+  }
+
+  async getPythonPath(session = null) {
+    const venvDir = this.getVenvDir(session);
+    const isWindows = process.platform === 'win32';
+    const pythonPath = isWindows 
+      ? join(venvDir, 'Scripts', 'python.exe')
+      : join(venvDir, 'bin', 'python');
+    
+    // Verify the python executable exists and is accessible
+    if (!existsSync(pythonPath)) {
+      throw new Error(`Python executable not found at ${pythonPath}. Virtual environment may not be properly set up.`);
+    }
+    
+    // Check if file is accessible and executable (Unix only)
+    if (!isWindows) {
+      try {
+        // Use fs from the import instead of require
+        await fs.access(pythonPath, fsConstants.F_OK | fsConstants.X_OK);
+      } catch (error) {
+        throw new Error(`Python executable at ${pythonPath} is not accessible or executable: ${error.message}`);
+      }
+    }
+    
+    return pythonPath;
+  }
+
+  async getPipPath(session = null) {
+    const venvDir = this.getVenvDir(session);
+    const isWindows = process.platform === 'win32';
+    const pipPath = isWindows 
+      ? join(venvDir, 'Scripts', 'pip.exe')
+      : join(venvDir, 'bin', 'pip');
+    
+    // Verify the pip executable exists and is accessible
+    if (!existsSync(pipPath)) {
+      throw new Error(`Pip executable not found at ${pipPath}. Virtual environment may not be properly set up.`);
+    }
+    
+    // Check if file is accessible and executable (Unix only)
+    if (process.platform !== 'win32') {
+      try {
+        await fs.access(pipPath, fsConstants.F_OK | fsConstants.X_OK);
+      } catch (error) {
+        throw new Error(`Pip executable at ${pipPath} is not accessible or executable: ${error.message}`);
+      }
+    }
+    
+    return pipPath;
+  }
+
+  // Build the shell command that runs a script with the configured memory
+  // limit, inside the sandbox when it is enabled
+  async buildPythonCommand(pythonPath, scriptPath, cwd, limits = {}) {
+    const maxMemoryMB = limits.memoryMB ?? this.config.get('maxMemoryMB');
+    const cpuSeconds = limits.cpuSeconds || 0;
+
+    await this.sandboxReady;
+    let command = this.sandbox.enabled
+      ? this.sandbox.wrapCommand([pythonPath, scriptPath], { cwd })
+      : `"${pythonPath}" "${scriptPath}"`;
+
+    // Platform-specific resource limits
+    if (process.platform === 'linux' && maxMemoryMB > 0) {
+      // Linux: Use ulimit for memory limiting
+      command = `ulimit -v ${maxMemoryMB * 1024} && ${command}`;
+    } else if (process.platform === 'win32' && maxMemoryMB > 0) {
+      // Windows: Add memory monitoring (basic implementation)
+      // Note: Full memory limiting on Windows requires Job Objects, which is complex
+      this.logger.warn(`Memory limiting on Windows is not fully supported. Configured limit: ${maxMemoryMB}MB`);
+    }
+
+    if (process.platform !== 'win32' && cpuSeconds > 0) {
+      command = `ulimit -S -t ${cpuSeconds} && ${command}`;
+    }
+
+    return command;
+  }
+
+  // Per-call limits for python_execute, clamped to the operator maximums
+  resolveExecutionLimits(args) {
+    const notes = [];
+    const clamp = (name, requested, fallback, max) => {
+      if (requested === undefined || requested === null) return fallback;
+      const value = Number(requested);
+      if (!Number.isFinite(value) || value <= 0) {
+        notes.push(`${name} must be a positive number; using ${fallback}`);
+        return fallback;
+      }
+      if (value > max) {
+        notes.push(`${name} ${value} exceeds the server maximum; using ${max}`);
+        return max;
+      }
+      return Math.floor(value);
+    };
+
+    const limits = {
+      timeoutMs: clamp('timeout_ms', args.timeout_ms, this.config.get('maxExecutionTime'), this.config.get('maxTimeoutLimit')),
+      memoryMB: clamp('memory_mb', args.memory_mb, this.config.get('maxMemoryMB'), this.config.get('maxMemoryLimitMB')),
+      maxOutputBytes: clamp('max_output_bytes', args.max_output_bytes, this.config.get('maxOutputSize'), this.config.get('maxOutputLimit')),
+      cpuSeconds: clamp('cpu_seconds', args.cpu_seconds, 0, this.config.get('maxCpuSeconds')),
+    };
+
+    if (args.cpu_seconds && process.platform === 'win32') {
+      notes.push('cpu_seconds is not supported on Windows and was ignored');
+    }
+    if (args.memory_mb && process.platform !== 'linux') {
+      notes.push(`memory_mb is only enforced on Linux (current platform: ${process.platform})`);
+    }
+
+    return { limits, notes };
+  }
+
+  // Wraps the script so it writes its own rusage on exit (POSIX only)
+  injectUsageReporting(code, usageFile) {
+    const escapedUsageFile = usageFile.replace(/\\/g, '\\\\');
+
+    return `
+import atexit as _atexit
+
+def _mcp_write_usage():
+    try:
+        import json, resource, sys
+        _self = resource.getrusage(resource.RUSAGE_SELF)
+        _children = resource.getrusage(resource.RUSAGE_CHILDREN)
+        # ru_maxrss is bytes on macOS and kilobytes elsewhere
+        _scale = 1 if sys.platform == 'darwin' else 1024
+        with open(r"${escapedUsageFile}", 'w') as _f:
+            json.dump({
+                'cpu_seconds': _self.ru_utime + _self.ru_stime + _children.ru_utime + _children.ru_stime,
+                'peak_rss_bytes': max(_self.ru_maxrss, _children.ru_maxrss) * _scale,
+            }, _f)
+    except Exception:
+        pass
+
+_atexit.register(_mcp_write_usage)
+${code}`;
+  }
+
+  async readUsageReport(usageFile) {
+    try {
+      const report = JSON.parse(await fs.readFile(usageFile, 'utf8'));
+      return { cpuSeconds: Math.round(report.cpu_seconds * 1000) / 1000, peakRssBytes: report.peak_rss_bytes };
+    } catch {
+      // The process was killed before it could report, or this is Windows
+      return { cpuSeconds: null, peakRssBytes: null };
+    }
+  }
+
+  detectLimitHit({ timedOut, exitCode, signal, stderr }, limits) {
+    if (timedOut) return 'timeout';
+    // SIGXCPU, or 128 + 24 when reported through the shell
+    if (limits.cpuSeconds > 0 && (signal === 'SIGXCPU' || exitCode === 152)) return 'cpu';
+    if (stderr && stderr.includes('MemoryError')) return 'memory';
+    return null;
+  }
+
+  formatLimitReport(limits, usage, limitHit, truncated) {
+    const parts = [
+      `wall ${(usage.wallMs / 1000).toFixed(2)}s / ${limits.timeoutMs}ms`,
+      `CPU ${usage.cpuSeconds !== null ? `${usage.cpuSeconds.toFixed(2)}s` : 'n/a'}${limits.cpuSeconds ? ` / ${limits.cpuSeconds}s` : ''}`,
+      `peak memory ${usage.peakRssBytes !== null ? this.formatFileSize(usage.peakRssBytes) : 'n/a'} / ${limits.memoryMB} MB`,
+      `output ${this.formatFileSize(usage.outputBytes)} / ${this.formatFileSize(limits.maxOutputBytes)}`,
+    ];
+    let report = `Resource usage: ${parts.join(', ')}`;
+    const hits = [limitHit, truncated ? 'output' : null].filter(Boolean);
+    if (hits.length > 0) {
+      report += `\nLimit hit: ${hits.join(', ')}`;
+    }
+    return report;
+  }
+
+  buildExecutionResult(processResult, { limits, usage, limitHit, images = 0, displays = 0, runId, artifacts = [] }) {
+    const { stdout, stderr, exitCode, signal, timedOut, truncated, truncatedStreams } = processResult;
+    return {
+      success: exitCode === 0 && !timedOut && !limitHit,
+      exit_code: exitCode,
+      signal: signal || null,
+      timed_out: timedOut,
+      limit_hit: limitHit || (truncated ? 'output' : null),
+      stdout,
+      stderr,
+      stdout_truncated: truncatedStreams.stdout,
+      stderr_truncated: truncatedStreams.stderr,
+      wall_time_ms: usage.wallMs,
+      cpu_time_seconds: usage.cpuSeconds,
+      peak_rss_bytes: usage.peakRssBytes,
+      output_bytes: usage.outputBytes,
+      images,
+      displays,
+      run_id: runId,
+      artifacts: artifacts.map(({ uri, name, mimeType, size }) => ({ uri, name, mime_type: mimeType, size })),
+      limits: {
+        timeout_ms: limits.timeoutMs,
+        memory_mb: limits.memoryMB,
+        max_output_bytes: limits.maxOutputBytes,
+        cpu_seconds: limits.cpuSeconds,
+      },
+    };
+  }
+
+  async buildShellCommand(command, cwd) {
+    await this.sandboxReady;
+    return this.sandbox.enabled
+      ? this.sandbox.wrapCommand(['/bin/sh', '-c', command], { cwd })
+      : command;
+  }
+
+  async executePython(args, extra = {}) {
+    const { code, setup_venv = false, requirements = [], python_version: pythonVersion, capture_workspace_changes: captureWorkspaceChanges = false } = args;
+
+    try {
+      // Validate input
+      this.validatePythonCode(code);
+      if (requirements.length > 0) {
+        this.validatePackages(requirements);
+      }
+
+      const workDir = this.workDir;
+      const environment = await this.environmentForVersion(pythonVersion);
+      
+      this.logger.debug(`Executing Python code in ${this.describeEnvironment(environment)}`);
+
+      if (setup_venv) {
+        await this.resetEnvironment(environment);
+      }
+
+      await this.ensureVirtualEnvironment(environment);
+
+      if (requirements.length > 0) {
+        await this.installPackages({ packages: requirements }, environment, extra);
+      }
+
+      // Images and files written by this run are kept under runs/<id>
+      const runId = uuidv4();
+      const imageDir = join(this.runsDir, runId);
+      if (!existsSync(imageDir)) {
+        mkdirSync(imageDir, { recursive: true });
+      }
+
+      // Create a temporary file for reliable execution
+      const tempFile = join(workDir, `temp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.py`);
+      const usageFile = `${tempFile}.usage.json`;
+      const displayFile = `${tempFile}.displays.jsonl`;
+
+      // Enhanced code with image capture capabilities and resource limits
+      const enhancedCode = this.injectUsageReporting(
+        this.injectImageCapture(this.injectDisplayCapture(code, displayFile), imageDir),
+        usageFile
+      );
+
+      const { limits, notes: limitNotes } = this.resolveExecutionLimits(args);
+      const timeout = limits.timeoutMs;
+      let execCommand = '';
+      
+      try {
+        // Write the code to a temporary file to avoid shell escaping issues
+        writeFileSync(tempFile, enhancedCode, 'utf8');
+        
+        const pythonPath = await this.getPythonPath(environment);
+        
+        // Validate that the temp file was written successfully
+        if (!existsSync(tempFile)) {
+          throw new Error('Failed to create temporary Python file');
+        }
+        
+        // Enhanced execution with resource limits
+        execCommand = await this.buildPythonCommand(pythonPath, tempFile, workDir, limits);
+        
+        this.logger.debug(`Executing command: ${execCommand}`);
+        
+        const streamer = this.createOutputStreamer(extra, 'python_execute');
+        const workspaceBefore = captureWorkspaceChanges ? await this.snapshotWorkspace() : null;
+        const startedAt = Date.now();
+        const processResult = await this.runProcess(execCommand, {
+          signal: extra.signal,
+          cwd: workDir,
+          timeout,
+          maxOutputSize: limits.maxOutputBytes,
+          // Unbuffered so print() output reaches the client as it happens;
+          // files written to MCP_OUTPUT_DIR become run artifacts
+          env: { ...process.env, PYTHONUNBUFFERED: '1', MCP_OUTPUT_DIR: imageDir },
+          onOutput: streamer.push,
+        });
+        await streamer.flush();
+        const { stdout, stderr, exitCode, signal, timedOut, cancelled, truncated, outputBytes } = processResult;
+
+        if (cancelled) {
+          throw new OperationCancelledError(this.formatPartialOutput('Python execution cancelled by client', stdout, stderr));
+        }
+
+        const usage = { wallMs: Date.now() - startedAt, outputBytes, ...(await this.readUsageReport(usageFile)) };
+        const artifacts = await this.collectArtifacts(runId, workspaceBefore);
+        const artifactLinks = artifacts.map(({ uri, name, mimeType, size }) => ({ type: 'resource_link', uri, name, mimeType, size }));
+        if (artifacts.length > 0) {
+          this.server.sendResourceListChanged().catch(() => {});
+        }
+        const limitHit = this.detectLimitHit(processResult, limits);
+        let limitReport = this.formatLimitReport(limits, usage, limitHit, truncated);
+        if (limitNotes.length > 0) {
+          limitReport += `\nNote: ${limitNotes.join('; ')}`;
+        }
+
+        if (timedOut || exitCode !== 0) {
+          // Keep the partial output so the error path can report it
+          const failure = new Error(timedOut
+            ? `Execution timed out after ${timeout}ms`
+            : `Process exited with ${signal ? `signal ${signal}` : `code ${exitCode}`}`);
+          Object.assign(failure, {
+            stdout,
+            stderr,
+            code: timedOut ? 'ETIMEDOUT' : exitCode,
+            signal,
+            killed: timedOut || Boolean(signal),
+            cmd: execCommand,
+            limitHit,
+            limitReport,
+            artifactLinks,
+            structured: this.buildExecutionResult(processResult, { limits, usage, limitHit, runId, artifacts }),
+          });
+          throw failure;
+        }
+
+        // Check for generated images
+        const images = await this.collectImages(imageDir);
+        const displays = await this.collectDisplays(displayFile, basename(tempFile, '.py'));
+
+        const content = [];
+
+        // Add images to response first
+        images.forEach((imageData, index) => {
+          content.push({
+            type: 'image',
+            data: imageData.data, // 只提供base64数据，不要data:前缀
+            mimeType: imageData.mimeType,
+          });
+        });
+
+        // Then display() output, in the order it was produced
+        content.push(...displays);
+
+        // Every file the run produced, readable through resources/read
+        content.push(...artifactLinks);
+
+        // Then add execution result
+        // stderr on a successful run is reported, not treated as a failure
+        let result = '';
+        if (stdout) result += `Output:\n${stdout}`;
+        if (stderr) result += `${result ? '\n' : ''}Stderr:\n${stderr}`;
+
+        content.push({
+          type: 'text',
+          text: `${result || 'Code executed successfully with no output'}\n\n${limitReport}`,
+        });
+
+        this.logger.debug(`Python execution completed successfully`);
+        return {
+          content,
+          structuredContent: this.buildExecutionResult(processResult, {
+            limits,
+            usage,
+            limitHit,
+            images: images.length,
+            displays: displays.length,
+            runId,
+            artifacts,
+          }),
+        };
+        
+      } catch (executionError) {
+        if (executionError instanceof OperationCancelledError) {
+          throw executionError;
+        }
+
+        this.logger.error('Python execution failed', executionError);
+        
+        // Enhanced error diagnosis
+        const errorDetails = {
+          message: executionError.message || 'Unknown execution error',
+          stderr: executionError.stderr || '',
+          stdout: executionError.stdout || '',
+          code: executionError.code || 'UNKNOWN',
+          signal: executionError.signal || null,
+          killed: executionError.killed || false,
+          cmd: executionError.cmd || execCommand
+        };
+        
+        // Analyze error type and provide helpful suggestions
+        let errorAnalysis = '';
+        if (errorDetails.stderr) {
+          if (errorDetails.stderr.includes('ModuleNotFoundError')) {
+            errorAnalysis = '\n\n💡 Suggestion: Install the missing module using the python_install_package tool.';
+          } else if (errorDetails.stderr.includes('SyntaxError')) {
+            errorAnalysis = '\n\n💡 Suggestion: Check your Python code syntax.';
+          } else if (errorDetails.stderr.includes('MemoryError')) {
+            errorAnalysis = '\n\n💡 Suggestion: Try reducing data size or increase memory limits.';
+          } else if (errorDetails.stderr.includes('Permission')) {
+            errorAnalysis = '\n\n💡 Suggestion: Check file permissions or try running with appropriate privileges.';
+          }
+        }
+        
+        if (errorDetails.code === 'ETIMEDOUT') {
+          errorAnalysis = `\n\n💡 Suggestion: Code execution timed out after ${timeout}ms. Consider optimizing your code or increasing timeout_ms (server maximum: ${this.config.get('maxTimeoutLimit')}ms).`;
+        } else if (executionError.limitHit === 'cpu') {
+          errorAnalysis = `\n\n💡 Suggestion: CPU time limit of ${limits.cpuSeconds}s was exceeded. Increase cpu_seconds (server maximum: ${this.config.get('maxCpuSeconds')}s) or reduce the work done.`;
+        } else if (executionError.limitHit === 'memory') {
+          errorAnalysis = `\n\n💡 Suggestion: Memory limit of ${limits.memoryMB}MB was exceeded. Reduce data size or increase memory_mb (server maximum: ${this.config.get('maxMemoryLimitMB')}MB).`;
+        } else if (errorDetails.killed) {
+          errorAnalysis = '\n\n💡 Suggestion: Process was terminated, possibly due to resource limits.';
+        }
+        
+        let fullErrorMessage = `Python execution failed: ${errorDetails.message}`;
+        if (errorDetails.stdout) fullErrorMessage += `\n\nStdout:\n${errorDetails.stdout}`;
+        if (errorDetails.stderr) fullErrorMessage += `\n\nStderr:\n${errorDetails.stderr}`;
+        if (errorAnalysis) fullErrorMessage += errorAnalysis;
+        if (executionError.limitReport) fullErrorMessage += `\n\n${executionError.limitReport}`;
+        
+        // Add debug information for developers
+        if (this.config.get('logLevel') === 'debug') {
+          fullErrorMessage += `\n\n🔍 Debug Info:\nCommand: ${errorDetails.cmd}\nExit Code: ${errorDetails.code}\nSignal: ${errorDetails.signal}\nKilled: ${errorDetails.killed}`;
+        }
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: fullErrorMessage,
+            },
+            ...(executionError.artifactLinks || []),
+          ],
+          ...(executionError.structured && { structuredContent: executionError.structured }),
+          isError: true,
+        };
+      } finally {
+        // Enhanced cleanup with better error handling
+        const cleanupTasks = [];
+        
+        // Clean up temp file and its usage and display reports
+        for (const file of [tempFile, usageFile, displayFile]) {
+          if (existsSync(file)) {
+            cleanupTasks.push(
+              fs.unlink(file).catch(error => {
+                this.logger.warn(`Failed to delete temp file ${file}: ${error.message}`);
+              })
+            );
+          }
+        }
+        
+        // Drop the run directory if the run produced nothing, then apply retention
+        cleanupTasks.push(
+          fs.rmdir(imageDir)
+            .catch(() => {})
+            .then(() => this.pruneRuns())
+            .catch(error => {
+              this.logger.warn(`Failed to prune old runs: ${error.message}`);
+            })
+        );
+        
+        // Clean up any orphaned temp files in the work directory
+        try {
+          const workDirContents = await fs.readdir(workDir);
+          const tempFilePattern = /^temp_\d+_\w+\.py$/;
+          const oldTempFiles = workDirContents.filter(file => 
+            tempFilePattern.test(file) && file !== tempFile.split('/').pop()
+          );
+          
+          for (const oldTempFile of oldTempFiles) {
+            const oldTempPath = join(workDir, oldTempFile);
+            try {
+              const stats = await fs.stat(oldTempPath);
+              // Remove temp files older than 1 hour
+              if (Date.now() - stats.mtime.getTime() > 60 * 60 * 1000) {
+                cleanupTasks.push(
+                  fs.unlink(oldTempPath).catch(error => {
+                    this.logger.warn(`Failed to clean up old temp file ${oldTempPath}: ${error.message}`);
+                  })
+                );
+              }
+            } catch (statError) {
+              // If we can't stat the file, try to delete it anyway
+              cleanupTasks.push(
+                fs.unlink(oldTempPath).catch(error => {
+                  this.logger.warn(`Failed to clean up orphaned temp file ${oldTempPath}: ${error.message}`);
+                })
+              );
+            }
+          }
+        } catch (readdirError) {
+          this.logger.warn(`Failed to scan for orphaned temp files: ${readdirError.message}`);
+        }
+        
+        // Execute all cleanup tasks concurrently
+        if (cleanupTasks.length > 0) {
+          await Promise.allSettled(cleanupTasks);
+        }
+      }
+    } catch (validationError) {
+      if (!(validationError instanceof OperationCancelledError)) {
+        this.logger.error('Python validation failed', validationError);
+      }
+      throw validationError;
+    }
+  }
+
+  // Runs the code like a notebook cell: display() is available as a builtin
+  // and the value of a trailing expression is displayed automatically.
+  injectDisplayCapture(code, displayFile) {
+    const escapedDisplayFile = displayFile.replace(/\\/g, '\\\\');
+
+    return `
+import ast as _mcp_ast
+import base64 as _mcp_base64
+import builtins as _mcp_builtins
+import json as _mcp_json
+import linecache as _mcp_linecache
+import sys as _mcp_sys
+
+_MCP_DISPLAY_FILE = r"${escapedDisplayFile}"
+_MCP_REPR_METHODS = [
+    ('text/html', '_repr_html_'),
+    ('text/markdown', '_repr_markdown_'),
+    ('text/latex', '_repr_latex_'),
+    ('application/json', '_repr_json_'),
+    ('image/png', '_repr_png_'),
+    ('image/jpeg', '_repr_jpeg_'),
+    ('image/svg+xml', '_repr_svg_'),
+]
+
+def _mcp_mimebundle(obj):
+    bundle = {}
+    if hasattr(obj, '_repr_mimebundle_'):
+        try:
+            data = obj._repr_mimebundle_()
+            if isinstance(data, tuple):
+                data = data[0]
+            if isinstance(data, dict):
+                bundle.update(data)
+        except Exception:
+            pass
+    for mime, method in _MCP_REPR_METHODS:
+        if mime in bundle or not hasattr(obj, method):
+            continue
+        try:
+            value = getattr(obj, method)()
+        except Exception:
+            continue
+        if isinstance(value, tuple):
+            value = value[0]
+        if value is not None:
+            bundle[mime] = value
+    module = type(obj).__module__ or ''
+    if module.startswith('plotly') and hasattr(obj, 'to_html'):
+        try:
+            bundle.setdefault('text/html', obj.to_html(include_plotlyjs='cdn', full_html=False))
+            bundle.setdefault('application/vnd.plotly.v1+json', _mcp_json.loads(obj.to_json()))
+        except Exception:
+            pass
+    if module.startswith('matplotlib') and hasattr(obj, 'savefig'):
+        try:
+            import io
+            buffer = io.BytesIO()
+            obj.savefig(buffer, format='png', dpi=150, bbox_inches='tight', facecolor='white')
+            bundle['image/png'] = buffer.getvalue()
+            # Keep the end-of-run figure capture from returning it twice
+            globals().get('_saved_figures', set()).add(id(obj))
+        except Exception:
+            pass
+    for mime, value in list(bundle.items()):
+        if isinstance(value, bytes):
+            if mime.startswith('image/') and mime != 'image/svg+xml':
+                bundle[mime] = _mcp_base64.b64encode(value).decode('ascii')
+            else:
+                bundle[mime] = value.decode('utf-8', 'replace')
+    bundle['text/plain'] = repr(obj)
+    return bundle
+
+def display(*objs):
+    for obj in objs:
+        try:
+            bundle = _mcp_mimebundle(obj)
+            with open(_MCP_DISPLAY_FILE, 'a', encoding='utf-8') as f:
+                f.write(_mcp_json.dumps(bundle, default=str) + '\\n')
+        except Exception as e:
+            print(f"Warning: Failed to display {type(obj).__name__}: {e}")
+
+_mcp_builtins.display = display
+
+def _mcp_excepthook(exc_type, exc, tb):
+    import traceback
+    # Start the traceback at the cell so the wrapper's own frames stay hidden
+    while tb is not None and tb.tb_frame.f_code.co_filename != '<cell>':
+        tb = tb.tb_next
+    traceback.print_exception(exc_type, exc, tb)
+
+_mcp_sys.excepthook = _mcp_excepthook
+
+_mcp_source = ${JSON.stringify(code)}
+_mcp_linecache.cache['<cell>'] = (len(_mcp_source), None, _mcp_source.splitlines(True), '<cell>')
+_mcp_tree = _mcp_ast.parse(_mcp_source, filename='<cell>')
+_mcp_last = None
+# A trailing semicolon suppresses auto-display, as in notebooks
+if _mcp_tree.body and isinstance(_mcp_tree.body[-1], _mcp_ast.Expr) and not _mcp_source.rstrip().endswith(';'):
+    _mcp_last = _mcp_tree.body.pop()
+exec(compile(_mcp_tree, '<cell>', 'exec'))
+if _mcp_last is not None:
+    _mcp_value = eval(compile(_mcp_ast.Expression(_mcp_last.value), '<cell>', 'eval'))
+    if _mcp_value is not None:
+        display(_mcp_value)
+`;
+  }
+
+  async collectDisplays(displayFile, executionId) {
+    let lines;
+    try {
+      lines = (await fs.readFile(displayFile, 'utf8')).split('\n').filter(Boolean);
+    } catch {
+      return [];
+    }
+
+    const maxItems = this.config.get('maxDisplayItems');
+    if (lines.length > maxItems) {
+      this.logger.warn(`Showing first ${maxItems} of ${lines.length} display outputs`);
+    }
+
+    const preference = this.config.get('displayMimePreference');
+    const items = [];
+    for (const [index, line] of lines.slice(0, maxItems).entries()) {
+      let bundle;
+      try {
+        bundle = JSON.parse(line);
+      } catch (error) {
+        this.logger.warn(`Skipping malformed display output: ${error.message}`);
+        continue;
+      }
+
+      const mimeType = preference.find(type => bundle[type] !== undefined && bundle[type] !== null) || 'text/plain';
+      const item = this.displayContentItem(mimeType, bundle[mimeType] ?? '', `display://${executionId}/${index}`);
+      if (item) items.push(item);
+    }
+    return items;
+  }
+
+  displayContentItem(mimeType, data, uri) {
+    if (mimeType === 'image/svg+xml') {
+      return { type: 'image', data: Buffer.from(String(data), 'utf8').toString('base64'), mimeType };
+    }
+    if (mimeType.startsWith('image/')) {
+      return { type: 'image', data: String(data), mimeType };
+    }
+    if (mimeType === 'text/html') {
+      return { type: 'resource', resource: { uri, mimeType, text: String(data) } };
+    }
+    if (mimeType === 'application/json' || mimeType.endsWith('+json')) {
+      const text = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+      return { type: 'resource', resource: { uri, mimeType, text } };
+    }
+    // Markdown, LaTeX and plain text read fine as-is
+    return { type: 'text', text: String(data) };
+  }
+
+  injectImageCapture(code, imageDir) {
+    // Properly escape path for cross-platform compatibility
+    const escapedImageDir = imageDir.replace(/\\/g, '\\\\').replace(/'/g, "\'");
+    
+    const imageCapture = `
+import os
+import sys
+import io
+import base64
+from pathlib import Path
+
+# Setup image capture directory with proper path handling
+IMAGE_DIR = r"${escapedImageDir}"
+try:
+    os.makedirs(IMAGE_DIR, exist_ok=True)
+except Exception as e:
+    print(f"Warning: Could not create image directory: {e}")
+    IMAGE_DIR = os.getcwd()  # Fallback to current directory
+
+# Global image counter and saved figures tracking
+_image_counter = 0
+_saved_figures = set()  # Track saved figure objects to prevent duplicates
+
+# Hook matplotlib if available
+try:
+    import matplotlib
+    import matplotlib.pyplot as plt
+    matplotlib.use('Agg')  # Use non-interactive backend
+    
+    # Override plt.show() to save images
+    _original_plt_show = plt.show
+    def _capture_plt_show(*args, **kwargs):
+        global _image_counter, _saved_figures
+        try:
+            if plt.get_fignums():  # If there are figures
+                for fig_num in plt.get_fignums():
+                    fig = plt.figure(fig_num)
+                    fig_id = id(fig)  # Use object id to track unique figures
+                    
+                    # Only save if this figure hasn't been saved before
+                    if fig_id not in _saved_figures:
+                        filename = os.path.join(IMAGE_DIR, f'plot_{_image_counter}.png')
+                        fig.savefig(filename, dpi=150, bbox_inches='tight', 
+                                   facecolor='white', edgecolor='none')
+                        _saved_figures.add(fig_id)
+                        _image_counter += 1
+            # Call original show to clear figures
+            _original_plt_show(*args, **kwargs)
+        except Exception as e:
+            print(f"Warning: Failed to capture plot: {e}")
+            _original_plt_show(*args, **kwargs)
+    
+    plt.show = _capture_plt_show
+    
+    # Also hook savefig to capture manual saves
+    _original_savefig = plt.savefig
+    def _capture_savefig(fname, *args, **kwargs):
+        global _image_counter, _saved_figures
+        try:
+            # Get current figure to track it
+            current_fig = plt.gcf()
+            fig_id = id(current_fig)
+            
+            if not os.path.isabs(fname):
+                # If relative path, save to our image directory
+                fname = os.path.join(IMAGE_DIR, f'saved_{_image_counter}.png')
+                _saved_figures.add(fig_id)  # Mark as saved
+                _image_counter += 1
+            else:
+                # For absolute paths, still mark as saved to avoid duplicates
+                _saved_figures.add(fig_id)
+                
+            return _original_savefig(fname, *args, **kwargs)
+        except Exception as e:
+            print(f"Warning: Failed to save figure: {e}")
+            return _original_savefig(fname, *args, **kwargs)
+    
+    plt.savefig = _capture_savefig
+    
+except ImportError:
+    pass  # matplotlib not available
+except Exception as e:
+    print(f"Warning: Failed to setup matplotlib hooks: {e}")
+
+# Hook PIL/Pillow if available
+try:
+    from PIL import Image
+    _original_pil_show = Image.Image.show
+    def _capture_pil_show(self, title=None, command=None):
+        global _image_counter
+        try:
+            filename = os.path.join(IMAGE_DIR, f'pil_{_image_counter}.png')
+            self.save(filename)
+            _image_counter += 1
+        except Exception as e:
+            print(f"Warning: Failed to capture PIL image: {e}")
+    
+    Image.Image.show = _capture_pil_show
+except ImportError:
+    pass  # PIL not available
+except Exception as e:
+    print(f"Warning: Failed to setup PIL hooks: {e}")
+
+# Your code starts here:
+${code}
+
+# Auto-save any remaining matplotlib figures that haven't been saved yet
+try:
+    import matplotlib.pyplot as plt
+    if plt.get_fignums():
+        # Check if there are any unsaved figures
+        unsaved_figures = False
+        for fig_num in plt.get_fignums():
+            fig = plt.figure(fig_num)
+            if id(fig) not in _saved_figures:
+                unsaved_figures = True
+                break
+        
+        # Only call show if there are unsaved figures
+        if unsaved_figures:
+            plt.show()  # This will trigger our capture for unsaved figures only
+except:
+    pass
+`;
+    
+    return imageCapture;
+  }
+
+  async collectImages(imageDir) {
+    const images = [];
+    
+    try {
+      if (!existsSync(imageDir)) {
+        console.log('Image directory does not exist');
+        return images;
+      }
+
+      const imageFiles = await glob(join(imageDir, '*.{png,jpg,jpeg,gif,svg}').replace(/\\/g, '/'));
+      console.log(`Found ${imageFiles.length} image files:`, imageFiles);
+      
+      if (imageFiles.length === 0) {
+        return images;
+      }
+      
+      // Limit to first 3 images to avoid overwhelming responses
+      const limitedFiles = imageFiles.slice(0, 3);
+      
+      for (const imagePath of limitedFiles) {
+        try {
+          const stats = await fs.stat(imagePath);
+          console.log(`Processing image: ${imagePath} (${stats.size} bytes)`);
+          
+          // Skip very small files (likely incomplete)
+          if (stats.size < 100) {
+            console.log(`Skipping very small image: ${imagePath} (${stats.size} bytes)`);
+            continue;
+          }
+          
+          const imageBuffer = readFileSync(imagePath);
+          
+          if (!imageBuffer || imageBuffer.length === 0) {
+            console.log(`Empty image file: ${imagePath}`);
+            continue;
+          }
+          
+          // Convert to base64 with proper validation
+          let base64Data;
+          try {
+            base64Data = imageBuffer.toString('base64');
+          } catch (encodeError) {
+            console.error(`Base64 encoding failed for ${imagePath}:`, encodeError.message);
+            continue;
+          }
+          
+          if (!base64Data || base64Data.length === 0) {
+            console.log(`Failed to encode image: ${imagePath}`);
+            continue;
+          }
+          
+          // Enhanced base64 validation
+          if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64Data)) {
+            console.log(`Invalid base64 format: ${imagePath} - length: ${base64Data.length}`);
+            console.log(`First 100 chars: ${base64Data.substring(0, 100)}`);
+            continue;
+          }
+          
+          // Determine proper MIME type
+          const ext = imagePath.split('.').pop().toLowerCase();
+          let mimeType = 'image/png';
+          switch (ext) {
+            case 'jpg':
+            case 'jpeg':
+              mimeType = 'image/jpeg';
+              break;
+            case 'gif':
+              mimeType = 'image/gif';
+              break;
+            case 'svg':
+              mimeType = 'image/svg+xml';
+              break;
+            default:
+              mimeType = 'image/png';
+          }
+          
+          // Create clean data URL - don't include data: prefix in the data field
+          images.push({
+            data: base64Data,
+            mimeType: mimeType,
+          });
+          
+          console.log(`Successfully processed image: ${imagePath} - base64 length: ${base64Data.length}`);
+          
+        } catch (error) {
+          console.error(`Failed to process image ${imagePath}:`, error.message);
+        }
+      }
+      
+      if (imageFiles.length > 3) {
+        console.log(`Note: Showing first 3 of ${imageFiles.length} generated images`);
+      }
+      
+      console.log(`Returning ${images.length} processed images`);
+      
+    } catch (error) {
+      console.error('Failed to collect images:', error.message);
+    }
+    
+    return images;
+  }
+
+  async installPackages(args, session = null, extra = {}) {
+    const { packages } = args;
+    
+    // Validate packages
+    this.validatePackages(packages);
+    
+    await this.ensureVirtualEnvironment(session);
+    
+    const packageList = packages.join(' ');
+    
+    try {
+      this.logger.debug(`Installing packages: ${packageList}`);
+      
+      const { stdout, stderr, offline } = await this.runPipInstall(session, packages, {
+        cwd: session ? session.dir : this.workDir,
+        signal: extra.signal,
+      });
+
+      const source = offline ? ` from the wheelhouse (${this.config.get('wheelhouseDir')})` : '';
+      // uv reports progress on stderr and prints nothing to stdout
+      const output = stdout || stderr;
+      const warnings = stdout ? stderr : '';
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Packages installed successfully in ${this.describeEnvironment(session)}${source}:\n${output}${warnings ? '\nWarnings:\n' + warnings : ''}`,
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof OperationCancelledError) {
+        throw new OperationCancelledError(`Installation of ${packageList} cancelled by client`);
+      }
+      if (error instanceof PackageUnavailableError) throw error;
+      throw new Error(`Failed to install packages: ${error.message}`);
+    }
+  }
+
+  // Fill the wheelhouse so later installs work without the network. pip
+  // wheel also builds sdists, so offline installs never need a build step.
+  async downloadPackages(args, session = null, extra = {}) {
+    const { packages = [], source, no_deps: noDeps = false } = args;
+    const wheelhouse = this.config.get('wheelhouseDir');
+
+    if (packages.length === 0 && !source) {
+      throw new Error('Provide "packages" and/or a requirements file in "source"');
+    }
+    if (packages.length > 0) {
+      this.validatePackages(packages);
+    }
+
+    try {
+      await this.ensureVirtualEnvironment(session);
+      await fs.mkdir(wheelhouse, { recursive: true });
+      const requirementsFile = source && await this.resolvePath(source);
+      if (requirementsFile) {
+        await this.validateRequirementsFile(requirementsFile);
+      }
+      const requirementsArgs = requirementsFile ? ['-r', requirementsFile] : [];
+      const before = new Set(readdirSync(wheelhouse));
+
+      await this.runPip(session, [
+        'wheel',
+        '--wheel-dir', wheelhouse,
+        ...this.pipSourceArgs(),
+        ...(noDeps ? ['--no-deps'] : []),
+        ...requirementsArgs,
+        ...packages,
+      ], { signal: extra.signal });
+
+      const files = readdirSync(wheelhouse).sort();
+      const added = files.filter(file => !before.has(file));
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Wheelhouse ${wheelhouse} now holds ${files.length} file(s) for ${this.describeEnvironment(session)}.\n${added.length > 0 ? `Added:\n${added.map(file => `  ${file}`).join('\n')}` : 'Everything requested was already present.'}`,
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof OperationCancelledError) throw error;
+      throw new Error(`Failed to download packages: ${error.message}`);
+    }
+  }
+
+  // pip list as a map of normalized name -> { name, version, ... }
+  async pipList(session = null, extraArgs = []) {
+    const { stdout } = await this.runPip(session, ['list', '--format=json', ...extraArgs]);
+    return new Map(JSON.parse(stdout).map(dist => [normalizePackageName(dist.name), dist]));
+  }
+
+  // pip check findings; a non-zero exit just means conflicts were found
+  async pipCheck(session = null) {
+    let output;
+    try {
+      ({ stdout: output } = await this.runPip(session, ['check']));
+    } catch (error) {
+      if (!error.pipOutput) throw error;
+      output = error.pipOutput;
+    }
+    return output
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !/^No broken requirements found/i.test(line))
+      .map(line => ({ package: line.split(/\s+/)[0], message: line }));
+  }
+
+  // Summarize what changed between two pip list snapshots
+  describePackageChanges(before, after) {
+    const changes = [];
+    for (const [key, dist] of after) {
+      const previous = before.get(key);
+      if (!previous) changes.push(`+ ${dist.name} ${dist.version}`);
+      else if (previous.version !== dist.version) changes.push(`~ ${dist.name} ${previous.version} -> ${dist.version}`);
+    }
+    for (const [key, dist] of before) {
+      if (!after.has(key)) changes.push(`- ${dist.name} ${dist.version}`);
+    }
+    return changes;
+  }
+
+  async listPackages(args = {}, session = null) {
+    const { outdated = false, check = true } = args;
+    await this.ensureVirtualEnvironment(session);
+    
+    try {
+      const packages = [...(await this.pipList(session)).values()];
+
+      // Outdated lookups use the same sources as installs, so they also work
+      // against the wheelhouse when offline
+      let outdatedError = null;
+      if (outdated) {
+        const offline = this.config.get('pipOffline') || Date.now() < this.pipOfflineUntil;
+        try {
+          const latest = await this.pipList(session, ['--outdated', ...this.pipSourceArgs({ offline })]);
+          for (const dist of packages) {
+            const newer = latest.get(normalizePackageName(dist.name));
+            if (newer) dist.latest_version = newer.latest_version;
+          }
+        } catch (error) {
+          outdatedError = error.message.split('\n').slice(-3).join('\n');
+        }
+      }
+
+      const conflicts = check ? await this.pipCheck(session) : [];
+      const result = {
+        environment: this.describeEnvironment(session),
+        packages: packages.map(({ name, version, latest_version, editable_project_location }) => ({
+          name,
+          version,
+          ...(latest_version && { latest_version }),
+          ...(editable_project_location && { editable_project_location }),
+        })),
+        outdated_checked: outdated && !outdatedError,
+        outdated_error: outdatedError,
+        check_ok: check ? conflicts.length === 0 : null,
+        conflicts,
+      };
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+        structuredContent: result,
+      };
+    } catch (error) {
+      throw new Error(`Failed to list packages: ${error.message}`);
+    }
+  }
+
+  async uninstallPackages(args, session = null, extra = {}) {
+    const { packages } = args;
+    if (!Array.isArray(packages) || packages.length === 0) {
+      throw new Error('packages must be a non-empty array of package names');
+    }
+    // Removal is never restricted by the package policy, but only plain
+    // names make sense here
+    for (const requirement of packages) {
+      const { specifier, url, extras, marker } = parseRequirement(requirement);
+      if (specifier || url || extras.length > 0 || marker) {
+        throw new Error(`Invalid package name "${requirement}": give only the package name to uninstall`);
+      }
+    }
+    await this.ensureVirtualEnvironment(session);
+
+    try {
+      const before = await this.pipList(session);
+      const missing = packages.filter(name => !before.has(normalizePackageName(name)));
+      const installed = packages.filter(name => before.has(normalizePackageName(name)));
+      if (installed.length > 0) {
+        await this.runPip(session, ['uninstall', '--yes', ...installed], { signal: extra.signal });
+      }
+      const after = await this.pipList(session);
+      const conflicts = await this.pipCheck(session);
+
+      const changes = this.describePackageChanges(before, after);
+      // Packages inherited from a base environment cannot be removed here
+      const kept = installed.filter(name => after.has(normalizePackageName(name)));
+      let text = `Uninstalled from ${this.describeEnvironment(session)}:\n${changes.length > 0 ? changes.join('\n') : '(nothing)'}`;
+      if (missing.length > 0) text += `\n\nNot installed: ${missing.join(', ')}`;
+      if (kept.length > 0) text += `\n\nStill present (installed outside this environment): ${kept.join(', ')}`;
+      if (conflicts.length > 0) text += `\n\nBroken requirements after uninstalling:\n${conflicts.map(conflict => conflict.message).join('\n')}`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text,
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof OperationCancelledError) throw error;
+      throw new Error(`Failed to uninstall packages: ${error.message}`);
+    }
+  }
+
+  async upgradePackages(args, session = null, extra = {}) {
+    const { packages } = args;
+    if (!Array.isArray(packages) || packages.length === 0) {
+      throw new Error('packages must be a non-empty array of requirement specifiers');
+    }
+    this.validatePackages(packages);
+    await this.ensureVirtualEnvironment(session);
+
+    try {
+      const before = await this.pipList(session);
+      const { offline } = await this.runPipInstall(session, ['--upgrade', ...packages], { signal: extra.signal });
+      const after = await this.pipList(session);
+      const conflicts = await this.pipCheck(session);
+
+      const changes = this.describePackageChanges(before, after);
+      let text = `Upgraded in ${this.describeEnvironment(session)}${offline ? ' from the wheelhouse' : ''}:\n${changes.length > 0 ? changes.join('\n') : '(already up to date)'}`;
+      if (conflicts.length > 0) text += `\n\nBroken requirements after upgrading:\n${conflicts.map(conflict => conflict.message).join('\n')}`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text,
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof OperationCancelledError || error instanceof PackageUnavailableError) throw error;
+      throw new Error(`Failed to upgrade packages: ${error.message}`);
+    }
+  }
+
+  async packageInfo(args, session = null) {
+    const { package: packageName } = args;
+    if (typeof packageName !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(packageName)) {
+      throw new Error(`Invalid package name: ${packageName}`);
+    }
+    await this.ensureVirtualEnvironment(session);
+
+    let info;
+    try {
+      const { stdout } = await execFileAsync(await this.getPythonPath(session), ['-c', PACKAGE_INFO_SCRIPT, packageName]);
+      info = JSON.parse(stdout);
+    } catch (error) {
+      throw new Error(`Failed to read package info: ${(error.stderr || '').trim() || error.message}`);
+    }
+    if (!info) {
+      throw new Error(`Package not installed in ${this.describeEnvironment(session)}: ${packageName}`);
+    }
+
+    const lines = [
+      `${info.name} ${info.version}${info.summary ? ` - ${info.summary}` : ''}`,
+      `Location: ${info.location}`,
+      `Requires: ${info.requires.length > 0 ? info.requires.join(', ') : '(none)'}`,
+      `Required by: ${info.required_by.length > 0 ? info.required_by.map(dependent => `${dependent.name} (${dependent.requirement})`).join(', ') : '(none)'}`,
+    ];
+    if (info.required_by_extras.length > 0) {
+      lines.push(`Optional for: ${info.required_by_extras.map(dependent => `${dependent.name} [${dependent.extras.join(', ')}]`).join(', ')}`);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: lines.join('\n'),
+        },
+      ],
+      structuredContent: info,
+    };
+  }
+
+  async resetEnvironment(session = null, { useLockFile = true } = {}) {
+    try {
+      const venvDir = this.getVenvDir(session);
+      const lockPath = this.getLockFilePath(session);
+      const useLock = useLockFile && existsSync(lockPath);
+
+      // The lock sits in the writable workspace, so anything could have been
+      // added to it since python_env_sync wrote it; check it like any other
+      // requirements file before the venv is touched
+      if (useLock) {
+        await this.validateRequirementsFile(lockPath);
+      }
+
+      // The session worker runs from the venv being replaced, so stop it
+      // first and start it again whatever happens
+      const isSession = session instanceof PythonSession;
+      if (isSession) {
+        session.close();
+      }
+
+      // A venv only works at its own path, so the new one is built in place
+      // while the old one waits next to it, ready to be put back on failure
+      const previousDir = `${venvDir}.previous-${process.pid}`;
+      let lockNote = '';
+      try {
+        await fs.rm(previousDir, { recursive: true, force: true });
+        if (existsSync(venvDir)) {
+          await fs.rename(venvDir, previousDir);
+        }
+
+        try {
+          await this.ensureVirtualEnvironment(session);
+
+          // Rebuild what python_env_sync recorded rather than an empty venv
+          if (useLock) {
+            const count = await this.installFromLockFile(session, lockPath);
+            lockNote = `\nReinstalled ${count} locked package(s) from ${relative(this.workDir, lockPath)}`;
+          }
+        } catch (error) {
+          if (existsSync(previousDir)) {
+            await fs.rm(venvDir, { recursive: true, force: true });
+            await fs.rename(previousDir, venvDir);
+            this.logger.warn(`Reset of ${this.describeEnvironment(session)} failed; the previous virtual environment was put back`);
+          }
+          throw error;
+        }
+        await fs.rm(previousDir, { recursive: true, force: true });
+        this.logger.debug(`Removed previous virtual environment: ${previousDir}`);
+      } finally {
+        if (isSession) {
+          await this.restartSession(session);
+        }
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: (isSession
+              ? `Virtual environment for session ${session.id} reset successfully (session state was cleared)`
+              : `Virtual environment${session ? ` for ${this.describeEnvironment(session)}` : ''} reset successfully`) + lockNote,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to reset environment: ${error.message}`);
+    }
+  }
+
+  // Environment Sync Implementation
+  // Lock files live next to the environment's working directory, outside the
+  // venv, so they survive python_reset_environment
+  getLockFilePath(session = null) {
+    if (!session) return join(this.workDir, 'requirements.lock');
+    return session instanceof PythonSession
+      ? join(session.dir, 'requirements.lock')
+      : join(this.workDir, `requirements-py${session.version}.lock`);
+  }
+
+  // uv path when it should be used, else null
+  getUvPath() {
+    const mode = this.config.get('useUv');
+    if (mode === 'false') return null;
+    if (this.uvPath === undefined) {
+      this.uvPath = findExecutable(process.platform === 'win32' ? 'uv.exe' : 'uv');
+    }
+    if (!this.uvPath && mode === 'true') {
+      throw new Error('MCP_USE_UV is true but uv was not found on PATH');
+    }
+    return this.uvPath;
+  }
+
+  // Environment for pip and uv: one persistent cache under the workspace so
+  // a rebuilt venv reuses downloaded and built wheels
+  getPackageToolEnv() {
+    const cacheDir = this.config.get('packageCacheDir');
+    return {
+      ...process.env,
+      PIP_CACHE_DIR: join(cacheDir, 'pip'),
+      UV_CACHE_DIR: join(cacheDir, 'uv'),
+      PIP_DISABLE_PIP_VERSION_CHECK: '1',
+    };
+  }
+
+  // Run pip from the environment as an argv, without a shell. With useUv,
+  // the same arguments go to `uv pip` instead when uv is available.
+  async runPip(session, pipArgs, { cwd, signal, useUv = false } = {}) {
+    const pythonPath = await this.getPythonPath(session);
+    const uvPath = useUv ? this.getUvPath() : null;
+    const timeout = this.config.get('maxExecutionTime');
+    const argv = uvPath
+      ? [uvPath, 'pip', ...pipArgs, '--python', pythonPath]
+      : [pythonPath, '-m', 'pip', ...pipArgs];
+    const { stdout, stderr, exitCode, timedOut, cancelled } = await this.runProcess(argv, {
+      cwd: cwd || (session ? session.dir : this.workDir),
+      timeout,
+      signal,
+      env: this.getPackageToolEnv(),
     });
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+    const label = `${uvPath ? 'uv pip' : 'pip'} ${pipArgs[0]}`;
+    if (cancelled) {
+      throw new OperationCancelledError(`${label} cancelled by client`);
+    }
+    if (timedOut || exitCode !== 0) {
+      const error = new Error(timedOut
+        ? `${label} timed out after ${timeout}ms`
+        : `${label} exited with code ${exitCode}\n${(stderr || stdout).trim()}`);
+      error.pipOutput = `${stdout}\n${stderr}`;
+      throw error;
+    }
+    return { stdout, stderr };
+  }
+
+  hasWheelhouse() {
+    const wheelhouse = this.config.get('wheelhouseDir');
+    try {
+      return readdirSync(wheelhouse).length > 0;
+    } catch {
+      return false;
+    }
+  }
+
+  // Where pip looks for packages: the configured index, or only the
+  // wheelhouse when offline. The wheelhouse is never mixed into online
+  // installs, where a planted wheel with a high version would win.
+  pipSourceArgs({ offline = false } = {}) {
+    if (offline) {
+      return ['--no-index', ...(this.hasWheelhouse() ? ['--find-links', this.config.get('wheelhouseDir')] : [])];
+    }
+    const indexUrl = this.config.get('pipIndexUrl');
+    return [
+      ...(indexUrl ? ['--index-url', indexUrl] : []),
+      ...this.config.get('pipExtraIndexUrls').flatMap(url => ['--extra-index-url', url]),
+    ];
+  }
+
+  // pip install against the index, falling back to --no-index --find-links
+  // <wheelhouse> when the index cannot be reached
+  async runPipInstall(session, installArgs, options = {}) {
+    const wheelhouse = this.config.get('wheelhouseDir');
+    const offline = this.config.get('pipOffline') || Date.now() < this.pipOfflineUntil;
+    // uv pip has no installation report, so resolution-only runs stay on pip
+    options = { ...options, useUv: !installArgs.includes('--report') };
+
+    if (!offline) {
+      try {
+        const result = await this.runPip(session, ['install', ...this.pipSourceArgs(), ...installArgs], options);
+        this.pipOfflineUntil = 0;
+        return { ...result, offline: false };
+      } catch (error) {
+        if (!error.pipOutput || !PIP_NETWORK_ERROR_PATTERN.test(error.pipOutput)) throw error;
+        if (!this.hasWheelhouse()) {
+          throw new Error(`The package index is unreachable and there is no wheelhouse to fall back to (${wheelhouse}; set MCP_WHEELHOUSE_DIR)\n${error.message}`);
+        }
+        this.logger.warn('Package index unreachable, installing from the wheelhouse instead');
+        this.pipOfflineUntil = Date.now() + PIP_OFFLINE_RETRY_MS;
+      }
+    } else if (!this.hasWheelhouse()) {
+      throw new Error(`Offline installs need a wheelhouse, but ${wheelhouse} is missing or empty (set MCP_WHEELHOUSE_DIR or fill it with python_download_packages)`);
+    }
+
+    try {
+      const result = await this.runPip(session, ['install', ...this.pipSourceArgs({ offline: true }), ...installArgs], options);
+      return { ...result, offline: true };
+    } catch (error) {
+      const missing = [...(error.pipOutput || '').matchAll(PACKAGE_NOT_FOUND_PATTERN)].map(match => match[1] || match[2]);
+      if (missing.length > 0) {
+        throw new PackageUnavailableError([...new Set(missing)], wheelhouse);
+      }
+      throw error;
+    }
+  }
+
+  // Distributions installed in the environment's own site-packages, keyed
+  // by normalized name; packages inherited from a base venv are not included
+  async listInstalledDistributions(session = null) {
+    const pythonPath = await this.getPythonPath(session);
+    const { stdout: pathsJson } = await execFileAsync(pythonPath, ['-c', 'import json, sysconfig; p = sysconfig.get_paths(); print(json.dumps(sorted({p["purelib"], p["platlib"]})))']);
+    const pathArgs = JSON.parse(pathsJson).flatMap(path => ['--path', path]);
+    const { stdout } = await this.runPip(session, ['list', '--format=json', ...pathArgs]);
+
+    const installed = new Map();
+    for (const dist of JSON.parse(stdout)) {
+      installed.set(normalizePackageName(dist.name), dist);
+    }
+    return installed;
+  }
+
+  // Work out which file or inline list to sync from, as requirement lines
+  async readDependencySpec(args, session) {
+    const { source, requirements, extras = [] } = args;
+
+    if (source && requirements) {
+      throw new Error('Provide either "source" or "requirements", not both');
+    }
+    if (requirements) {
+      if (!Array.isArray(requirements) || requirements.some(requirement => typeof requirement !== 'string' || !requirement.trim())) {
+        throw new Error('requirements must be an array of non-empty requirement strings');
+      }
+      this.validatePackages(requirements);
+      return { label: 'inline requirements', lines: requirements.map(requirement => requirement.trim()), cwd: this.workDir };
+    }
+
+    let specPath;
+    if (source) {
+      specPath = await this.resolvePath(source);
+    } else {
+      specPath = ['requirements.txt', 'pyproject.toml'].map(name => join(this.workDir, name)).find(path => existsSync(path));
+      if (!specPath) {
+        throw new Error('No requirements.txt or pyproject.toml in the workspace; pass "source" or "requirements"');
+      }
+    }
+    if (!existsSync(specPath)) {
+      throw new Error(`Dependency file not found: ${source}`);
+    }
+
+    const label = relative(this.workDir, specPath) || basename(specPath);
+    if (basename(specPath) !== 'pyproject.toml') {
+      // pip reads the file itself so -r, -c and index options keep working
+      await this.validateRequirementsFile(specPath);
+      return { label, requirementsFile: specPath, cwd: dirname(specPath) };
+    }
+
+    const { stdout } = await execFileAsync(await this.getPythonPath(session), ['-c', PYPROJECT_READER_SCRIPT, specPath]);
+    const project = JSON.parse(stdout);
+    if (project.dynamic.includes('dependencies')) {
+      throw new Error(`${label} declares its dependencies as dynamic, so they cannot be read without building the project`);
+    }
+    if (!Array.isArray(project.dependencies) && extras.length === 0) {
+      throw new Error(`${label} has no [project] dependencies`);
+    }
+    const missingExtras = extras.filter(extra => !project.optional[extra]);
+    if (missingExtras.length > 0) {
+      throw new Error(`${label} has no optional-dependencies group(s): ${missingExtras.join(', ')} (available: ${Object.keys(project.optional).join(', ') || 'none'})`);
+    }
+    const lines = [...(project.dependencies || []), ...extras.flatMap(extra => project.optional[extra])];
+    this.validatePackages(lines);
+    return { label: extras.length > 0 ? `${label} [${extras.join(', ')}]` : label, lines, cwd: dirname(specPath) };
+  }
+
+  // Lock file lines for pip's installation report: every package pinned,
+  // with its archive hash when pip knows one
+  formatLockFile(report, { label, pythonVersion }) {
+    const entries = report.install
+      .map(item => {
+        const name = item.metadata.name;
+        const info = item.download_info || {};
+        const hash = info.archive_info && (info.archive_info.hashes?.sha256
+          ? `sha256:${info.archive_info.hashes.sha256}`
+          : info.archive_info.hash && info.archive_info.hash.replace('=', ':'));
+        let requirement;
+        if (info.dir_info) {
+          requirement = info.dir_info.editable ? `-e ${info.url}` : `${name} @ ${info.url}`;
+        } else if (info.vcs_info) {
+          requirement = `${name} @ ${info.vcs_info.vcs}+${info.url}@${info.vcs_info.commit_id}`;
+        } else if (item.is_direct) {
+          requirement = `${name} @ ${info.url}`;
+        } else {
+          requirement = `${name}==${item.metadata.version}`;
+        }
+        return { name, requirement, hash };
+      })
+      .sort((a, b) => normalizePackageName(a.name).localeCompare(normalizePackageName(b.name)));
+
+    // A single --hash puts pip in hash-checking mode for every entry, so
+    // hashes are written only when all entries have one
+    const hashed = entries.every(entry => entry.hash);
+    const lines = [
+      `# Generated by python_env_sync from ${label} on ${new Date().toISOString()}`,
+      `# Python ${pythonVersion}. Recreate with python_reset_environment; do not edit by hand.`,
+      ...entries.map(entry => (hashed ? `${entry.requirement} \\\n    --hash=${entry.hash}` : entry.requirement)),
+    ];
+    return { text: `${lines.join('\n')}\n`, entries };
+  }
+
+  // Install exactly the pinned set, checking hashes when every entry has one
+  async installFromLockFile(session, lockPath, extra = {}) {
+    const plan = planLockInstall(await fs.readFile(lockPath, 'utf8'));
+    if (plan.unhashedText === null) {
+      await this.runPipInstall(session, ['--no-deps', ...(plan.requireHashes ? ['--require-hashes'] : []), '-r', lockPath], { signal: extra.signal });
+      return plan.count;
+    }
+
+    // Partly hashed (older or hand-edited locks): pip would demand a hash
+    // for every entry, so install a copy without them
+    const unhashedPath = `${lockPath}.${process.pid}.unhashed.tmp`;
+    try {
+      await fs.writeFile(unhashedPath, plan.unhashedText, 'utf8');
+      await this.runPipInstall(session, ['--no-deps', '-r', unhashedPath], { signal: extra.signal });
+    } finally {
+      await fs.rm(unhashedPath, { force: true });
+    }
+    return plan.count;
+  }
+
+  async syncEnvironment(args, session = null, extra = {}) {
+    const { dry_run: dryRun = false } = args;
+
+    try {
+      await this.ensureVirtualEnvironment(session);
+      const spec = await this.readDependencySpec(args, session);
+      this.logger.debug(`Syncing ${this.describeEnvironment(session)} to ${spec.label}`);
+
+      const tempBase = join(this.workDir, `temp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
+      const reportPath = `${tempBase}.report.json`;
+      const specFile = spec.requirementsFile || `${tempBase}.requirements.txt`;
+      let report;
+      try {
+        if (!spec.requirementsFile) {
+          await fs.writeFile(specFile, `${spec.lines.join('\n')}\n`, 'utf8');
+        }
+        // Resolve the complete set as if nothing were installed, so the lock
+        // covers every dependency and not just what is missing right now
+        await this.runPipInstall(session, ['--dry-run', '--ignore-installed', '--quiet', '--report', reportPath, '-r', specFile], {
+          cwd: spec.cwd,
+          signal: extra.signal,
+        });
+        report = JSON.parse(await fs.readFile(reportPath, 'utf8'));
+      } finally {
+        await fs.rm(reportPath, { force: true });
+        if (!spec.requirementsFile) {
+          await fs.rm(specFile, { force: true });
+        }
+      }
+
+      const { stdout: versionOutput } = await execFileAsync(await this.getPythonPath(session), ['-c', 'import platform; print(platform.python_version())']);
+      const lock = this.formatLockFile(report, { label: spec.label, pythonVersion: versionOutput.trim() });
+      const wanted = new Map(report.install.map(item => [normalizePackageName(item.metadata.name), item.metadata.version]));
+      const before = await this.listInstalledDistributions(session);
+
+      const toInstall = [...wanted].filter(([name, version]) => !before.has(name) || before.get(name).version !== version);
+      const toRemove = [...before.values()].filter(dist => {
+        const name = normalizePackageName(dist.name);
+        return !wanted.has(name) && !SYNC_KEEP_PACKAGES.has(name);
+      });
+      const describeChange = ([name, version]) => (before.has(name) ? `${name} ${before.get(name).version} -> ${version}` : `${name} ${version}`);
+      const lockPath = this.getLockFilePath(session);
+
+      if (!dryRun) {
+        // The lock only replaces the old one once the environment matches it,
+        // so a failed sync never leaves a lock for a state that never existed
+        const tempLockPath = `${lockPath}.${process.pid}.tmp`;
+        try {
+          await fs.writeFile(tempLockPath, lock.text, 'utf8');
+          if (toInstall.length > 0) {
+            await this.installFromLockFile(session, tempLockPath, extra);
+          }
+          if (toRemove.length > 0) {
+            await this.runPip(session, ['uninstall', '--yes', ...toRemove.map(dist => dist.name)], { signal: extra.signal });
+          }
+          await fs.rename(tempLockPath, lockPath);
+        } finally {
+          await fs.rm(tempLockPath, { force: true });
+        }
+      }
+
+      const unhashed = lock.entries.filter(entry => !entry.hash).map(entry => entry.name);
+      const lines = [
+        `${dryRun ? 'Dry run: would sync' : 'Synced'} ${this.describeEnvironment(session)} to ${spec.label} (${wanted.size} package(s))`,
+        '',
+        `${dryRun ? 'Would install' : 'Installed'}: ${toInstall.length > 0 ? toInstall.map(describeChange).join(', ') : 'nothing'}`,
+        `${dryRun ? 'Would remove' : 'Removed'}: ${toRemove.length > 0 ? toRemove.map(dist => `${dist.name} ${dist.version}`).join(', ') : 'nothing'}`,
+      ];
+      if (!dryRun) {
+        lines.push(`Lock file: ${relative(this.workDir, lockPath)}`);
+      }
+      if (unhashed.length > 0) {
+        lines.push(`No hash available for: ${unhashed.join(', ')} (the lock file is written without hashes, so it is installed without hash checking)`);
+      }
+
+      // A running session worker keeps the modules it already imported
+      if (!dryRun && session instanceof PythonSession && (toInstall.length > 0 || toRemove.length > 0)) {
+        lines.push('Modules the session has already imported keep their old versions until the session is reset.');
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: lines.join('\n'),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof OperationCancelledError) throw error;
+      throw new Error(`Failed to sync environment: ${error.message}`);
+    }
+  }
+
+  // Environment Snapshots Implementation
+  // A venv only works at the path it was created at, so each environment
+  // has its own snapshots and can only be restored from them
+  getSnapshotsDir(session = null) {
+    if (session instanceof PythonSession) return join(this.snapshotsDir, `session-${session.id}`);
+    return join(this.snapshotsDir, session ? `py${session.version}` : 'default');
+  }
+
+  getSnapshotPath(session, name) {
+    if (typeof name !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/.test(name)) {
+      throw new Error(`Invalid snapshot name "${name}": use up to 64 letters, digits, ".", "_" and "-", starting with a letter or digit`);
+    }
+    return join(this.getSnapshotsDir(session), name);
+  }
 
+  async readSnapshots(session = null) {
+    const dir = this.getSnapshotsDir(session);
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch {
+      return [];
+    }
+    const snapshots = [];
+    for (const name of names.sort()) {
       try {
-        // Enhanced error handling with detailed logging
-        this.logger.debug(`Tool called: ${name} with args: ${JSON.stringify(args)}`);
+        snapshots.push(JSON.parse(await fs.readFile(join(dir, name, 'snapshot.json'), 'utf8')));
+      } catch {
+        // Incomplete or foreign directory
+      }
+    }
+    return snapshots;
+  }
 
-        switch (name) {
-          // Python Tools
-          case 'python_execute':
-            return await this.executePython(args);
-          case 'python_install_package':
-            return await this.installPackages(args);
-          case 'python_list_packages':
-            return await this.listPackages();
-          case 'python_reset_environment':
-            return await this.resetEnvironment();
-          // File and Directory Operations
-          case 'file_create':
-            return await this.createFile(args);
-          case 'file_read':
-            return await this.readFile(args);
-          case 'file_move':
-            return await this.moveFile(args);
-          case 'file_copy':
-            return await this.copyFile(args);
-          case 'file_search':
-            return await this.searchFiles(args);
-          case 'file_delete':
-            return await this.deleteFile(args);
-          case 'directory_create':
-            return await this.createDirectory(args);
-          case 'directory_list':
-            return await this.listDirectory(args);
-          // Shell Command Execution
-          case 'os_execute_command':
-            return await this.executeCommand(args);
-          default:
-            throw new Error(`Unknown tool: ${name}`);
+  async snapshotEnvironment(args, session = null) {
+    const { action = 'create', overwrite = false } = args;
+    const label = this.describeEnvironment(session);
+
+    try {
+      if (action === 'list') {
+        const snapshots = await this.readSnapshots(session);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: snapshots.length === 0
+                ? `No snapshots for ${label}`
+                : `Snapshots for ${label}:\n${snapshots.map(snapshot => `  ${snapshot.name}  ${snapshot.created_at}  Python ${snapshot.python_version}, ${snapshot.packages.length} package(s)`).join('\n')}`,
+            },
+          ],
+        };
+      }
+
+      if (action === 'delete') {
+        const snapshotPath = this.getSnapshotPath(session, args.name);
+        if (!existsSync(snapshotPath)) {
+          throw new Error(`Snapshot not found: ${args.name}`);
         }
-      } catch (error) {
-        this.logger.error(`Tool execution failed for ${name}`, error);
-        
-        // Enhanced error response with more context
-        const errorId = randomBytes(8).toString('hex');
-        const errorMessage = `Error [${errorId}]: ${error.message}`;
-        
+        await fs.rm(snapshotPath, { recursive: true, force: true });
         return {
           content: [
             {
               type: 'text',
-              text: errorMessage,
+              text: `Snapshot ${args.name} of ${label} deleted`,
             },
           ],
-          isError: true,
         };
       }
-    });
+
+      if (action !== 'create') {
+        throw new Error(`Unknown action "${action}"; use create, list or delete`);
+      }
+
+      const name = args.name || new Date().toISOString().replace(/[:.]/g, '-');
+      const snapshotPath = this.getSnapshotPath(session, name);
+      if (existsSync(snapshotPath) && !overwrite) {
+        throw new Error(`Snapshot ${name} already exists; pass overwrite to replace it`);
+      }
+
+      await this.ensureVirtualEnvironment(session);
+      const startedAt = Date.now();
+      const { stdout: freeze } = await this.runPip(session, ['freeze', '--all']);
+      const { stdout: version } = await execFileAsync(await this.getPythonPath(session), ['-c', 'import platform; print(platform.python_version())']);
+
+      // Build next to the final location and swap in, so a failed copy never
+      // leaves a half-written snapshot behind
+      const tempPath = `${snapshotPath}.tmp-${Date.now()}`;
+      try {
+        await fs.cp(this.getVenvDir(session), join(tempPath, 'venv'), { recursive: true, verbatimSymlinks: true });
+        const lockPath = this.getLockFilePath(session);
+        if (existsSync(lockPath)) {
+          await fs.copyFile(lockPath, join(tempPath, 'requirements.lock'));
+        }
+        await fs.writeFile(join(tempPath, 'snapshot.json'), JSON.stringify({
+          name,
+          environment: label,
+          created_at: new Date().toISOString(),
+          python_version: version.trim(),
+          packages: freeze.split('\n').filter(Boolean),
+        }, null, 2), 'utf8');
+        await fs.rm(snapshotPath, { recursive: true, force: true });
+        await fs.rename(tempPath, snapshotPath);
+      } catch (error) {
+        await fs.rm(tempPath, { recursive: true, force: true }).catch(() => {});
+        throw error;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Snapshot ${name} of ${label} saved in ${((Date.now() - startedAt) / 1000).toFixed(1)}s (${freeze.split('\n').filter(Boolean).length} package(s)).\nRestore it with python_env_restore.`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to ${action} snapshot: ${error.message}`);
+    }
+  }
+
+  // Replace target with source, keeping target until the rename succeeded
+  async swapDirectory(source, target) {
+    const previous = `${target}.previous-${process.pid}`;
+    await fs.rm(previous, { recursive: true, force: true });
+    if (existsSync(target)) {
+      await fs.rename(target, previous);
+    }
+    try {
+      await fs.rename(source, target);
+    } catch (error) {
+      if (existsSync(previous)) await fs.rename(previous, target);
+      throw error;
+    }
+    await fs.rm(previous, { recursive: true, force: true });
+  }
+
+  // Start a stopped session's worker again on whatever venv it now has
+  async restartSession(session) {
+    try {
+      session.start(await this.getPythonPath(session), argv => this.sandbox.wrap(argv, { cwd: session.dir }));
+    } catch (error) {
+      this.logger.error(`Failed to restart session ${session.id}`, error);
+    }
+  }
+
+  async restoreEnvironment(args, session = null) {
+    const { name } = args;
+    const label = this.describeEnvironment(session);
+
+    try {
+      const snapshotPath = this.getSnapshotPath(session, name);
+      if (!existsSync(join(snapshotPath, 'snapshot.json'))) {
+        const available = (await this.readSnapshots(session)).map(snapshot => snapshot.name);
+        throw new Error(`Snapshot not found: ${name} (available for ${label}: ${available.join(', ') || 'none'})`);
+      }
+      const snapshot = JSON.parse(await fs.readFile(join(snapshotPath, 'snapshot.json'), 'utf8'));
+      const startedAt = Date.now();
+
+      // Copy next to the venv first, so a failed copy leaves it untouched
+      const venvDir = this.getVenvDir(session);
+      const restoringDir = `${venvDir}.restoring-${process.pid}`;
+      await fs.rm(restoringDir, { recursive: true, force: true });
+      try {
+        await fs.cp(join(snapshotPath, 'venv'), restoringDir, { recursive: true, verbatimSymlinks: true });
+      } catch (error) {
+        await fs.rm(restoringDir, { recursive: true, force: true });
+        throw error;
+      }
+
+      // The session worker runs from the venv being replaced, so stop it
+      // for the swap and start it again whatever happens
+      const isSession = session instanceof PythonSession;
+      if (isSession) {
+        session.close();
+      }
+      try {
+        await this.swapDirectory(restoringDir, venvDir);
+      } finally {
+        if (isSession) {
+          await this.restartSession(session);
+        }
+      }
+
+      // Keep the lock file describing the environment that is now installed
+      const lockPath = this.getLockFilePath(session);
+      if (existsSync(join(snapshotPath, 'requirements.lock'))) {
+        await fs.copyFile(join(snapshotPath, 'requirements.lock'), lockPath);
+      } else {
+        await fs.rm(lockPath, { force: true });
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Restored ${label} from snapshot ${name} (taken ${snapshot.created_at}, Python ${snapshot.python_version}, ${snapshot.packages.length} package(s)) in ${((Date.now() - startedAt) / 1000).toFixed(1)}s${isSession ? '; session state was cleared' : ''}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to restore snapshot: ${error.message}`);
+    }
+  }
+
+  // Run Artifacts Implementation
+  // User files in the workspace, skipping server-managed directories and
+  // temp scripts. Stops after maxEntries files.
+  async walkWorkspaceFiles(maxEntries = 10000) {
+    const files = [];
+    const skipDirs = new Set(['venv', 'venvs', '.pythonrun', 'runs', 'jobs', '__pycache__', '.git']);
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        if (files.length >= maxEntries) return;
+        const fullPath = join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!skipDirs.has(entry.name)) await walk(fullPath);
+        } else if (entry.isFile() && !/^temp_\d+_\w+\.py/.test(entry.name)) {
+          try {
+            files.push({ relPath: relative(this.workDir, fullPath), stats: await fs.stat(fullPath) });
+          } catch {
+            // Removed while scanning
+          }
+        }
+      }
+    };
+
+    await walk(this.workDir);
+    if (files.length >= maxEntries) {
+      this.logger.warn(`Workspace has more than ${maxEntries} files; only the first ${maxEntries} are considered`);
+    }
+    return files;
+  }
+
+  // Record size and mtime of workspace files so files a run creates or
+  // modifies can be picked out afterwards
+  async snapshotWorkspace() {
+    const files = await this.walkWorkspaceFiles();
+    return new Map(files.map(({ relPath, stats }) => [relPath, `${stats.mtimeMs}:${stats.size}`]));
+  }
+
+  // Describe everything under the run directory as resources, first copying
+  // files the run wrote into the workspace to runs/<id>/files when a
+  // workspace snapshot was taken (capture_workspace_changes)
+  async collectArtifacts(runId, workspaceBefore = null) {
+    if (!workspaceBefore) return await this.describeRunFiles(runId);
+
+    const runDir = join(this.runsDir, runId);
+    const workspaceAfter = await this.snapshotWorkspace();
+    const maxBytes = this.config.get('maxArtifactBytes');
+    let copiedBytes = 0;
+
+    for (const [relPath, signature] of workspaceAfter) {
+      if (workspaceBefore.get(relPath) === signature) continue;
+      const size = Number(signature.split(':')[1]);
+      if (copiedBytes + size > maxBytes) {
+        this.logger.warn(`Not keeping ${relPath} from run ${runId}: artifact size limit of ${this.formatFileSize(maxBytes)} reached`);
+        continue;
+      }
+      try {
+        const destination = join(runDir, 'files', relPath);
+        await fs.mkdir(dirname(destination), { recursive: true });
+        await fs.copyFile(join(this.workDir, relPath), destination);
+        copiedBytes += size;
+      } catch (error) {
+        this.logger.warn(`Failed to keep ${relPath} from run ${runId}: ${error.message}`);
+      }
+    }
+
+    return await this.describeRunFiles(runId);
+  }
+
+  async describeRunFiles(runId) {
+    const runDir = join(this.runsDir, runId);
+    const files = await glob('**/*', { cwd: runDir, nodir: true, dot: true, posix: true });
+    const artifacts = [];
+    for (const file of files.sort()) {
+      try {
+        const stats = await fs.stat(join(runDir, file));
+        artifacts.push({
+          uri: `workspace://runs/${runId}/${file.split('/').map(encodeURIComponent).join('/')}`,
+          name: file,
+          mimeType: getMimeType(file),
+          size: stats.size,
+          modified: stats.mtime,
+        });
+      } catch {
+        // Removed by retention while listing
+      }
+    }
+    return artifacts;
+  }
+
+  // Keep at most runRetentionCount runs, none older than runRetentionMs
+  async pruneRuns() {
+    if (!existsSync(this.runsDir)) return;
+
+    const entries = await fs.readdir(this.runsDir, { withFileTypes: true });
+    const runs = [];
+    for (const entry of entries.filter(entry => entry.isDirectory())) {
+      const runDir = join(this.runsDir, entry.name);
+      try {
+        const [stats, contents] = await Promise.all([fs.stat(runDir), fs.readdir(runDir)]);
+        runs.push({ dir: runDir, mtime: stats.mtimeMs, empty: contents.length === 0 });
+      } catch {
+        // Already gone
+      }
+    }
+
+    runs.sort((a, b) => b.mtime - a.mtime);
+    const maxCount = this.config.get('runRetentionCount');
+    const maxAge = this.config.get('runRetentionMs');
+    let kept = 0;
+    let removed = 0;
+    for (const run of runs) {
+      // A run that is still executing has an empty directory but a fresh mtime
+      const inProgress = run.empty && Date.now() - run.mtime < this.config.get('maxTimeoutLimit');
+      if (inProgress) continue;
+      if (!run.empty && kept < maxCount && Date.now() - run.mtime <= maxAge) {
+        kept++;
+        continue;
+      }
+      await fs.rm(run.dir, { recursive: true, force: true });
+      if (!run.empty) removed++;
+    }
+
+    if (removed > 0) {
+      this.logger.debug(`Removed ${removed} expired run(s)`);
+      this.server.sendResourceListChanged().catch(() => {});
+    }
+  }
+
+  parseRunResourceUri(uri) {
+    const match = /^workspace:\/\/runs\/([0-9a-f-]{36})\/(.+)$/.exec(uri);
+    if (!match) {
+      throw new Error(`Unknown resource URI: ${uri}`);
+    }
+    const runDir = join(this.runsDir, match[1]);
+    const filePath = resolve(runDir, ...match[2].split('/').map(decodeURIComponent));
+    if (!this.isWithinRoot(runDir, filePath)) {
+      throw new Error(`Invalid resource URI: ${uri}`);
+    }
+    return filePath;
+  }
+
+  // Workspace Resources Implementation
+  // Run artifacts (newest run first) followed by the workspace's own files
+  async listResources(cursor) {
+    const pageSize = 100;
+    const offset = cursor ? parseInt(Buffer.from(cursor, 'base64url').toString('utf8')) || 0 : 0;
+
+    let runIds = [];
+    if (existsSync(this.runsDir)) {
+      const entries = await fs.readdir(this.runsDir, { withFileTypes: true });
+      const runs = await Promise.all(entries
+        .filter(entry => entry.isDirectory())
+        .map(async entry => ({ id: entry.name, mtime: (await fs.stat(join(this.runsDir, entry.name)).catch(() => ({ mtimeMs: 0 }))).mtimeMs })));
+      // Newest runs first
+      runIds = runs.sort((a, b) => b.mtime - a.mtime).map(run => run.id);
+    }
+
+    const all = [];
+    for (const runId of runIds) {
+      for (const artifact of await this.describeRunFiles(runId)) {
+        all.push({ ...artifact, title: `${artifact.name} (run ${runId.slice(0, 8)})` });
+      }
+    }
+    for (const { relPath, stats } of (await this.walkWorkspaceFiles()).sort((a, b) => a.relPath.localeCompare(b.relPath))) {
+      const name = relPath.split(sep).join('/');
+      all.push({
+        uri: pathToFileURL(resolve(this.workDir, relPath)).href,
+        name,
+        title: name,
+        mimeType: getMimeType(relPath),
+        size: stats.size,
+        modified: stats.mtime,
+      });
+    }
+
+    const page = all.slice(offset, offset + pageSize);
+    return {
+      resources: page.map(({ uri, name, title, mimeType, size, modified }) => ({
+        uri,
+        name,
+        title,
+        mimeType,
+        size,
+        annotations: { lastModified: modified.toISOString() },
+      })),
+      ...(offset + pageSize < all.length && {
+        nextCursor: Buffer.from(String(offset + pageSize), 'utf8').toString('base64url'),
+      }),
+    };
+  }
+
+  async readRunResource(uri) {
+    const filePath = this.parseRunResourceUri(uri);
+    try {
+      return await this.readResourceFile(uri, filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Resource not found (it may have expired): ${uri}`);
+      }
+      throw error;
+    }
+  }
+
+  async resolveWorkspaceResourceUri(uri) {
+    let filePath;
+    try {
+      filePath = fileURLToPath(uri);
+    } catch (error) {
+      throw new Error(`Invalid resource URI: ${uri}: ${error.message}`);
+    }
+    return await this.resolvePath(filePath);
+  }
+
+  async readWorkspaceResource(uri) {
+    const filePath = await this.resolveWorkspaceResourceUri(uri);
+    try {
+      return await this.readResourceFile(uri, filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Resource not found: ${uri}`);
+      }
+      throw error;
+    }
+  }
+
+  // Text files come back as text, everything else as a base64 blob. Files
+  // with an unknown extension are sniffed: valid UTF-8 without NUL bytes is text.
+  async readResourceFile(uri, filePath) {
+    const stats = await fs.stat(filePath);
+    if (stats.isDirectory()) {
+      throw new Error(`Resource is a directory: ${uri}`);
+    }
+    const maxSize = this.config.get('maxResourceSize');
+    if (stats.size > maxSize) {
+      throw new Error(`Resource is too large to read (${this.formatFileSize(stats.size)}, limit ${this.formatFileSize(maxSize)}): ${uri}`);
+    }
+
+    const data = await fs.readFile(filePath);
+    let mimeType = getMimeType(filePath);
+    if (mimeType === 'application/octet-stream' && this.looksLikeText(data)) {
+      mimeType = 'text/plain';
+    }
+
+    return {
+      contents: [
+        isTextMimeType(mimeType)
+          ? { uri, mimeType, text: data.toString('utf8') }
+          : { uri, mimeType, blob: data.toString('base64') },
+      ],
+    };
+  }
+
+  looksLikeText(data) {
+    const sample = data.subarray(0, 8192);
+    if (sample.includes(0)) return false;
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+    // The sample may end part-way through a multi-byte character
+    const maxCut = data.length > sample.length ? 3 : 0;
+    for (let cut = 0; cut <= maxCut; cut++) {
+      try {
+        decoder.decode(sample.subarray(0, sample.length - cut));
+        return true;
+      } catch {
+        // Try a shorter sample
+      }
+    }
+    return false;
+  }
+
+  // Subscriptions are backed by a non-recursive watcher on each subscribed
+  // file's directory, so large trees like the venv are never watched
+  async subscribeResource(uri) {
+    const filePath = uri.startsWith('file:')
+      ? await this.resolveWorkspaceResourceUri(uri)
+      : this.parseRunResourceUri(uri);
+    if (this.resourceSubscriptions.get(uri) === filePath) return;
+
+    const dir = dirname(filePath);
+    if (!existsSync(dir)) {
+      throw new Error(`Cannot subscribe to ${uri}: directory ${dir} does not exist`);
+    }
+
+    let entry = this.directoryWatchers.get(dir);
+    if (!entry) {
+      const watcher = watch(dir, (eventType, filename) => this.handleWatchEvent(dir, filename));
+      watcher.on('error', (error) => {
+        this.logger.warn(`Stopped watching ${dir}: ${error.message}`);
+        watcher.close();
+        this.directoryWatchers.delete(dir);
+      });
+      entry = { watcher, uris: new Set() };
+      this.directoryWatchers.set(dir, entry);
+    }
+
+    entry.uris.add(uri);
+    this.resourceSubscriptions.set(uri, filePath);
+    this.logger.debug(`Subscribed to ${uri}`);
+  }
+
+  unsubscribeResource(uri) {
+    const filePath = this.resourceSubscriptions.get(uri);
+    if (!filePath) return;
+    this.resourceSubscriptions.delete(uri);
+
+    const dir = dirname(filePath);
+    const entry = this.directoryWatchers.get(dir);
+    if (entry) {
+      entry.uris.delete(uri);
+      if (entry.uris.size === 0) {
+        entry.watcher.close();
+        this.directoryWatchers.delete(dir);
+      }
+    }
+    this.logger.debug(`Unsubscribed from ${uri}`);
+  }
+
+  handleWatchEvent(dir, filename) {
+    const entry = this.directoryWatchers.get(dir);
+    if (!entry) return;
+
+    for (const uri of entry.uris) {
+      // Without a filename the change could be any file in the directory
+      if (filename && this.resourceSubscriptions.get(uri) !== join(dir, filename.toString())) continue;
+
+      // Editors and atomic writes fire several events per save
+      clearTimeout(this.pendingResourceUpdates.get(uri));
+      this.pendingResourceUpdates.set(uri, setTimeout(() => {
+        this.pendingResourceUpdates.delete(uri);
+        if (!this.resourceSubscriptions.has(uri)) return;
+        this.server.sendResourceUpdated({ uri }).catch(error => {
+          this.logger.warn(`Failed to send resource update for ${uri}: ${error.message}`);
+        });
+      }, 100));
+    }
+  }
+
+  // Python Sessions Implementation
+  getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}. It may have been closed or expired after being idle.`);
+    }
+    return session;
+  }
+
+  getOptionalSession(args = {}) {
+    return args && args.session_id ? this.getSession(args.session_id) : null;
+  }
+
+  scheduleSessionReap(session) {
+    clearTimeout(session.idleTimer);
+    const idleTimeout = this.config.get('sessionIdleTimeout');
+    session.idleTimer = setTimeout(() => {
+      this.logger.info(`Closing session ${session.id} after ${idleTimeout}ms of inactivity`);
+      this.destroySession(session.id);
+    }, idleTimeout);
+    // Idle sessions should never keep the server alive on their own
+    session.idleTimer.unref();
+  }
+
+  destroySession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return false;
+
+    clearTimeout(session.idleTimer);
+    session.close();
+    this.sessions.delete(sessionId);
+
+    // The session workspace, venv and snapshots are private to the session
+    for (const dir of [session.dir, this.getSnapshotsDir(session)]) {
+      fs.rm(dir, { recursive: true, force: true }).catch(error => {
+        this.logger.warn(`Failed to remove session directory ${dir}: ${error.message}`);
+      });
+    }
+
+    this.logger.debug(`Session ${sessionId} destroyed`);
+    return true;
   }
 
-  // Python Tools Implementation
-  async ensureVirtualEnvironment() {
-    const venvDir = this.venvDir;
-    
-    if (!existsSync(venvDir)) {
+  async createSession(args = {}) {
+    const { requirements = [], inherit_base_packages = true, python_version: pythonVersion } = args;
+    const maxSessions = this.config.get('maxSessions');
+
+    // Creating a venv takes seconds, so the slot is reserved before the
+    // first await or concurrent calls would all pass the check
+    if (this.sessions.size + this.pendingSessions >= maxSessions) {
+      throw new Error(`Maximum number of concurrent sessions reached (${maxSessions}). Close an existing session with python_session_close first.`);
+    }
+    this.pendingSessions++;
+
+    const id = uuidv4();
+    let session;
+    try {
+      const runtime = pythonVersion ? await this.findPythonRuntime(pythonVersion) : null;
+      session = new PythonSession(id, join(this.sessionsDir, id), this.logger, {
+        inheritBasePackages: inherit_base_packages,
+        runtime,
+        baseEnvironment: await this.environmentForVersion(pythonVersion),
+      });
+
       try {
-        this.logger.debug(`Creating virtual environment at: ${venvDir}`);
-        
-        // Check Python availability and version
-        let pythonCmd, pythonVersion;
-        try {
-          const result = await execAsync('python3 --version');
-          pythonCmd = 'python3';
-          pythonVersion = result.stdout.trim();
-          this.logger.debug(`Found Python: ${pythonVersion}`);
-        } catch {
-          try {
-            const result = await execAsync('python --version');
-            pythonCmd = 'python';
-            pythonVersion = result.stdout.trim();
-            this.logger.debug(`Found Python: ${pythonVersion}`);
-          } catch {
-            throw new Error('Neither python3 nor python found in PATH. Please install Python 3.7+ and ensure it is in your PATH.');
-          }
-        }
-        
-        // Verify Python version compatibility
-        const versionMatch = pythonVersion.match(/Python (\d+)\.(\d+)/);
-        if (versionMatch) {
-          const major = parseInt(versionMatch[1]);
-          const minor = parseInt(versionMatch[2]);
-          if (major < 3 || (major === 3 && minor < 7)) {
-            this.logger.warn(`Python version ${pythonVersion} detected. Python 3.7+ is recommended.`);
-          }
-        }
-        
-        // Create virtual environment with detailed error handling
-        const createCommand = `${pythonCmd} -m venv "${venvDir}"`;
-        this.logger.debug(`Executing: ${createCommand}`);
-        
-        const { stdout, stderr } = await execAsync(createCommand);
-        if (stderr && stderr.includes('Error')) {
-          throw new Error(`Virtual environment creation failed: ${stderr}`);
+        await fs.mkdir(session.dir, { recursive: true });
+        await this.ensureVirtualEnvironment(session);
+
+        if (requirements.length > 0) {
+          await this.installPackages({ packages: requirements }, session);
         }
-        
-        // Verify virtual environment was created successfully
-        const pythonPath = await this.getPythonPath();
-        const pipPath = await this.getPipPath();
-        
-        this.logger.info(`Virtual environment created: ${venvDir}`);
-        this.logger.debug(`Python executable: ${pythonPath}`);
-        this.logger.debug(`Pip executable: ${pipPath}`);
-        
+
+        await this.sandboxReady;
+        session.start(await this.getPythonPath(session), argv => this.sandbox.wrap(argv, { cwd: session.dir }));
       } catch (error) {
-        this.logger.error(`Failed to create virtual environment at ${venvDir}`, error);
-        throw new Error(`Failed to create virtual environment: ${error.message}`);
+        await fs.rm(session.dir, { recursive: true, force: true }).catch(() => {});
+        throw new Error(`Failed to create session: ${error.message}`);
       }
-    } else {
-      // Verify existing virtual environment is functional
-      try {
-        const pythonPath = await this.getPythonPath();
-        const { stdout } = await execAsync(`"${pythonPath}" --version`);
-        this.logger.debug(`Using existing virtual environment: ${venvDir} (${stdout.trim()})`);
-      } catch (error) {
-        this.logger.warn(`Virtual environment at ${venvDir} appears to be corrupted, recreating...`);
-        await fs.rm(venvDir, { recursive: true, force: true });
-        return this.ensureVirtualEnvironment();
+
+      this.sessions.set(id, session);
+    } finally {
+      this.pendingSessions--;
+    }
+    this.scheduleSessionReap(session);
+
+    this.logger.info(`Created Python session ${id} in ${session.dir}`);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Python session created: ${id}\nWorkspace: ${session.dir}\nIdle sessions are closed after ${Math.round(this.config.get('sessionIdleTimeout') / 1000)}s.`,
+        },
+      ],
+    };
+  }
+
+  async executeInSession(args) {
+    const { session_id, code } = args;
+    const session = this.getSession(session_id);
+
+    this.validatePythonCode(code);
+    this.logger.debug(`Executing code in session ${session_id}`);
+
+    let response;
+    try {
+      response = await session.execute(code, this.config.get('maxExecutionTime'));
+    } catch (error) {
+      if (session.closed) {
+        this.destroySession(session_id);
       }
+      throw new Error(`Session execution failed: ${error.message}`);
     }
+
+    this.scheduleSessionReap(session);
+
+    let result = '';
+    if (response.stdout) result += `Output:\n${response.stdout}`;
+    if (response.stderr) result += `${result ? '\n' : ''}Error/Warning:\n${response.stderr}`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: result || 'Code executed successfully with no output',
+        },
+      ],
+      ...(response.ok ? {} : { isError: true }),
+    };
   }
 
-  async getPythonPath() {
-    const venvDir = this.venvDir;
-    const isWindows = process.platform === 'win32';
-    const pythonPath = isWindows 
-      ? join(venvDir, 'Scripts', 'python.exe')
-      : join(venvDir, 'bin', 'python');
-    
-    // Verify the python executable exists and is accessible
-    if (!existsSync(pythonPath)) {
-      throw new Error(`Python executable not found at ${pythonPath}. Virtual environment may not be properly set up.`);
+  async closeSession(args) {
+    const { session_id } = args;
+
+    if (!this.destroySession(session_id)) {
+      throw new Error(`Session not found: ${session_id}`);
     }
-    
-    // Check if file is accessible and executable (Unix only)
-    if (!isWindows) {
-      try {
-        // Use fs from the import instead of require
-        await fs.access(pythonPath, fsConstants.F_OK | fsConstants.X_OK);
-      } catch (error) {
-        throw new Error(`Python executable at ${pythonPath} is not accessible or executable: ${error.message}`);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Session closed: ${session_id}`,
+        },
+      ],
+    };
+  }
+
+  // File and Directory Operations Implementation
+  async createFile(args) {
+    const { path, content = '', encoding = 'utf8' } = args;
+    const resolvedPath = await this.resolvePath(path, { write: true });
+
+    // Buffer.from silently skips invalid base64, so check it up front
+    let data = content;
+    if (encoding === 'base64') {
+      const base64 = content.replace(/\s+/g, '');
+      if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64) || base64.length % 4 === 1) {
+        throw new Error(`Failed to create file ${path}: content is not valid base64`);
       }
+      data = Buffer.from(base64, 'base64');
     }
     
-    return pythonPath;
+    try {
+      // Ensure target directory exists
+      const targetDir = dirname(resolvedPath);
+      if (!existsSync(targetDir)) {
+        mkdirSync(targetDir, { recursive: true });
+      }
+      
+      await fs.writeFile(resolvedPath, data, encoding === 'base64' ? undefined : encoding);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: encoding === 'base64'
+              ? `File created successfully at ${resolvedPath} (${this.formatFileSize(data.length)})`
+              : `File created successfully at ${resolvedPath}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to create file ${path}: ${error.message}`);
+    }
   }
 
-  async getPipPath() {
-    const venvDir = this.venvDir;
-    const isWindows = process.platform === 'win32';
-    const pipPath = isWindows 
-      ? join(venvDir, 'Scripts', 'pip.exe')
-      : join(venvDir, 'bin', 'pip');
-    
-    // Verify the pip executable exists and is accessible
-    if (!existsSync(pipPath)) {
-      throw new Error(`Pip executable not found at ${pipPath}. Virtual environment may not be properly set up.`);
+  async readFile(args) {
+    const { path, encoding = 'auto', offset, length, start_line, end_line } = args;
+    const resolvedPath = await this.resolvePath(path);
+    const hasLineRange = start_line !== undefined || end_line !== undefined;
+    const hasByteRange = offset !== undefined || length !== undefined;
+    if (hasLineRange && hasByteRange) {
+      throw new Error('Use either offset/length or start_line/end_line, not both');
     }
     
-    // Check if file is accessible and executable (Unix only)
-    if (process.platform !== 'win32') {
-      try {
-        await fs.access(pipPath, fsConstants.F_OK | fsConstants.X_OK);
-      } catch (error) {
-        throw new Error(`Pip executable at ${pipPath} is not accessible or executable: ${error.message}`);
+    try {
+      const stats = await fs.stat(resolvedPath);
+      if (stats.isDirectory()) {
+        throw new Error('path is a directory; use directory_list instead');
       }
-    }
-    
-    return pipPath;
-  }
 
-  async executePython(args) {
-    const { code, setup_venv = false, requirements = [] } = args;
+      if (hasLineRange) {
+        return await this.readFileLines(resolvedPath, start_line, end_line, encoding);
+      }
 
-    try {
-      // Validate input
-      this.validatePythonCode(code);
-      if (requirements.length > 0) {
-        this.validatePackages(requirements);
+      const maxReadSize = this.config.get('maxReadSize');
+      const start = Math.max(0, Math.floor(offset || 0));
+      const size = length !== undefined ? Math.max(0, Math.floor(length)) : stats.size - start;
+      if (size > maxReadSize) {
+        throw new Error(hasByteRange
+          ? `requested ${this.formatFileSize(size)}, more than the ${this.formatFileSize(maxReadSize)} limit; request a smaller length`
+          : `file is ${this.formatFileSize(stats.size)}, more than the ${this.formatFileSize(maxReadSize)} limit; read it in parts with offset/length or start_line/end_line`);
       }
 
-      const workDir = this.workDir;
-      
-      this.logger.debug('Executing Python code');
+      let data;
+      const handle = await fs.open(resolvedPath, 'r');
+      try {
+        const buffer = Buffer.alloc(Math.min(size, Math.max(0, stats.size - start)));
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+        data = buffer.subarray(0, bytesRead);
+      } finally {
+        await handle.close();
+      }
 
-      if (setup_venv) {
-        await this.resetEnvironment();
+      const mimeType = getMimeType(resolvedPath);
+      // Known binary formats go by extension, anything else by content
+      const isBinary = encoding === 'base64' || (encoding === 'auto' && (
+        !this.looksLikeText(data) || (mimeType !== 'application/octet-stream' && !isTextMimeType(mimeType))
+      ));
+      if (!isBinary) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: data.toString(encoding === 'auto' ? 'utf8' : encoding),
+            },
+          ],
+        };
       }
 
-      await this.ensureVirtualEnvironment();
+      const wholeFile = start === 0 && data.length === stats.size;
+      const description = wholeFile
+        ? `Binary file ${resolvedPath} (${mimeType}, ${this.formatFileSize(stats.size)}), returned as base64`
+        : `Bytes ${start}-${start + data.length} of ${stats.size} from ${resolvedPath} (${mimeType}), returned as base64`;
+      const base64 = data.toString('base64');
+      const item = wholeFile && ['image/png', 'image/jpeg', 'image/gif', 'image/webp'].includes(mimeType)
+        ? { type: 'image', data: base64, mimeType }
+        : { type: 'resource', resource: { uri: pathToFileURL(resolvedPath).href, mimeType, blob: base64 } };
 
-      if (requirements.length > 0) {
-        await this.installPackages({ packages: requirements });
+      return {
+        content: [
+          { type: 'text', text: description },
+          item,
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to read file ${path}: ${error.message}`);
+    }
+  }
+
+  // Stream the file so only the requested lines are held in memory
+  async readFileLines(resolvedPath, startLine = 1, endLine = Infinity, encoding = 'auto') {
+    const first = Math.max(1, Math.floor(startLine));
+    const last = Math.floor(endLine);
+    if (last < first) {
+      throw new Error(`end_line (${endLine}) is before start_line (${startLine})`);
+    }
+
+    const handle = await fs.open(resolvedPath, 'r');
+    try {
+      const sample = Buffer.alloc(8192);
+      const { bytesRead } = await handle.read(sample, 0, sample.length, 0);
+      if (encoding !== 'utf8' && !this.looksLikeText(sample.subarray(0, bytesRead))) {
+        throw new Error('start_line/end_line only apply to text files; use offset/length for binary files');
       }
+    } finally {
+      await handle.close();
+    }
 
-      // Create image capture directory
-      const imageDir = join(workDir, 'images');
-      if (!existsSync(imageDir)) {
-        mkdirSync(imageDir, { recursive: true });
+    const maxReadSize = this.config.get('maxReadSize');
+    const stream = createReadStream(resolvedPath, { encoding: 'utf8' });
+    const lines = createInterface({ input: stream, crlfDelay: Infinity });
+    const selected = [];
+    let lineNumber = 0;
+    let bytes = 0;
+    try {
+      for await (const line of lines) {
+        lineNumber++;
+        if (lineNumber < first) continue;
+        if (lineNumber > last) break;
+        bytes += Buffer.byteLength(line) + 1;
+        if (bytes > maxReadSize) {
+          throw new Error(`lines ${first}-${lineNumber} exceed the ${this.formatFileSize(maxReadSize)} limit; request fewer lines`);
+        }
+        selected.push(line);
       }
+    } finally {
+      lines.close();
+      stream.destroy();
+    }
 
-      // Enhanced code with image capture capabilities and resource limits
-      const enhancedCode = this.injectImageCapture(code, imageDir);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: selected.join('\n'),
+        },
+      ],
+    };
+  }
 
-      // Create a temporary file for reliable execution
-      const tempFile = join(workDir, `temp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.py`);
+  async moveFile(args) {
+    const { source, destination } = args;
+    const resolvedSource = await this.resolvePath(source, { write: true });
+    const resolvedDestination = await this.resolvePath(destination, { write: true });
+    
+    try {
+      if (!existsSync(resolvedSource)) {
+        throw new Error(`Source file does not exist: ${resolvedSource}`);
+      }
+      
+      // Ensure destination directory exists
+      const destDir = dirname(resolvedDestination);
+      if (!existsSync(destDir)) {
+        mkdirSync(destDir, { recursive: true });
+      }
       
+      let crossDevice = false;
       try {
-        // Write the code to a temporary file to avoid shell escaping issues
-        writeFileSync(tempFile, enhancedCode, 'utf8');
-        
-        const pythonPath = await this.getPythonPath();
-        
-        // Validate that the temp file was written successfully
-        if (!existsSync(tempFile)) {
-          throw new Error('Failed to create temporary Python file');
-        }
-        
-        // Enhanced execution with resource limits
-        const maxMemoryMB = this.config.get('maxMemoryMB');
-        const timeout = this.config.get('maxExecutionTime');
-        
-        let execCommand = `"${pythonPath}" "${tempFile}"`;
-        
-        // Platform-specific resource limits
-        if (process.platform === 'linux' && maxMemoryMB > 0) {
-          // Linux: Use ulimit for memory limiting
-          execCommand = `ulimit -v ${maxMemoryMB * 1024} && ${execCommand}`;
-        } else if (process.platform === 'win32' && maxMemoryMB > 0) {
-          // Windows: Add memory monitoring (basic implementation)
-          // Note: Full memory limiting on Windows requires Job Objects, which is complex
-          this.logger.warn(`Memory limiting on Windows is not fully supported. Configured limit: ${maxMemoryMB}MB`);
-        }
-        
-        this.logger.debug(`Executing command: ${execCommand}`);
-        
-        const execOptions = {
-          cwd: workDir,
-          timeout,
-          maxBuffer: this.config.get('maxOutputSize'),
-        };
-        
-        // Windows-specific: Set additional process options for better resource control
-        if (process.platform === 'win32') {
-          execOptions.windowsHide = true; // Hide console window
-          execOptions.shell = true; // Use shell for better compatibility
+        await fs.rename(resolvedSource, resolvedDestination);
+      } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        // rename cannot cross filesystems: copy, then remove the source
+        crossDevice = true;
+        try {
+          await fs.cp(resolvedSource, resolvedDestination, { recursive: true, preserveTimestamps: true, verbatimSymlinks: true });
+        } catch (copyError) {
+          await fs.rm(resolvedDestination, { recursive: true, force: true }).catch(() => {});
+          throw copyError;
         }
-        
-        const { stdout, stderr } = await execAsync(execCommand, execOptions);
+        await fs.rm(resolvedSource, { recursive: true, force: true });
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `File moved from ${resolvedSource} to ${resolvedDestination}${crossDevice ? ' (copied across filesystems)' : ''}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to move file from ${source} to ${destination}: ${error.message}`);
+    }
+  }
+
+  async deleteFile(args) {
+    const { path } = args;
+    const resolvedPath = await this.resolvePath(path, { write: true });
+    
+    try {
+      if (!existsSync(resolvedPath)) {
+        throw new Error(`File does not exist: ${resolvedPath}`);
+      }
+      
+      await fs.unlink(resolvedPath);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `File deleted successfully: ${resolvedPath}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to delete file ${path}: ${error.message}`);
+    }
+  }
+
+  async createDirectory(args) {
+    const { path, recursive = true } = args;
+    const resolvedPath = await this.resolvePath(path, { write: true });
+    
+    try {
+      if (existsSync(resolvedPath)) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Directory already exists: ${resolvedPath}`,
+            },
+          ],
+        };
+      }
+      
+      mkdirSync(resolvedPath, { recursive });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Directory created successfully: ${resolvedPath}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to create directory ${path}: ${error.message}`);
+    }
+  }
 
-        // Check for generated images
-        const images = await this.collectImages(imageDir);
+  async deleteDirectory(args) {
+    const { path, recursive = false, dry_run: dryRun = false } = args;
+    const resolvedPath = await this.resolvePath(path, { write: true });
 
-        const content = [];
+    // A symlinked component would make the guards below check one path while
+    // fs.rm deletes another, so refuse any link between the root and the target
+    const root = this.findRoot(resolvedPath);
+    for (let component = resolvedPath; component !== root.path && this.isWithinRoot(root.path, component); component = dirname(component)) {
+      let stats;
+      try {
+        stats = await fs.lstat(component);
+      } catch {
+        continue;
+      }
+      if (stats.isSymbolicLink()) {
+        throw new Error(component === resolvedPath
+          ? `Refusing to delete ${resolvedPath}: path is a symbolic link; use file_delete to remove the link itself`
+          : `Refusing to delete ${resolvedPath}: ${component} is a symbolic link`);
+      }
+    }
 
-        // Add images to response first
-        images.forEach((imageData, index) => {
-          content.push({
-            type: 'image',
-            data: imageData.data, // 只提供base64数据，不要data:前缀
-            mimeType: imageData.mimeType,
-          });
-        });
+    // Deleting any of these would break the server or lose the environment;
+    // the contents of a root are fair game, anything in a venv is not.
+    // Compared by real path, in case the workspace itself is reached through a link.
+    const protectedPaths = await Promise.all([
+      ...this.allowedRoots.map(root => ({ path: root.path, reason: 'a workspace root', coversContents: false })),
+      { path: resolve(this.venvDir), reason: 'the virtual environment (use python_reset_environment instead)', coversContents: true },
+      { path: resolve(this.versionVenvsDir), reason: 'the per-version virtual environments (use python_reset_environment with python_version instead)', coversContents: true },
+      { path: resolve(this.stateDir), reason: 'server state (sessions, snapshots, wheelhouse and package cache)', coversContents: true },
+      ...[...this.sessions.values()].map(session => ({
+        path: resolve(session.venvDir),
+        reason: `the virtual environment of session ${session.id}`,
+        coversContents: true,
+      })),
+    ].map(async entry => ({ ...entry, path: await this.realpathLenient(entry.path) })));
+    const realPath = await this.realpathLenient(resolvedPath);
+    for (const entry of protectedPaths) {
+      const contains = this.isWithinRoot(realPath, entry.path);
+      const inside = entry.coversContents && this.isWithinRoot(entry.path, realPath);
+      if (contains || inside) {
+        const detail = realPath === entry.path
+          ? `it is ${entry.reason}`
+          : `it ${contains ? 'contains' : 'is inside'} ${entry.path}, ${entry.reason}`;
+        throw new Error(`Refusing to delete ${resolvedPath}: ${detail}`);
+      }
+    }
 
-        // Then add execution result
-        let result = '';
-        if (stdout) result += `Output:\n${stdout}`;
-        if (stderr) result += `${result ? '\n' : ''}Error/Warning:\n${stderr}`;
+    try {
+      const stats = await fs.stat(resolvedPath);
+      if (!stats.isDirectory()) {
+        throw new Error('path is not a directory; use file_delete for files');
+      }
 
-        content.push({
-          type: 'text',
-          text: result || 'Code executed successfully with no output',
-        });
+      const entries = await fs.readdir(resolvedPath);
+      if (entries.length > 0 && !recursive) {
+        throw new Error(`directory is not empty (${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}); set recursive to delete its contents`);
+      }
 
-        this.logger.debug(`Python execution completed successfully`);
-        return { content };
-        
-      } catch (executionError) {
-        this.logger.error('Python execution failed', executionError);
-        
-        // Enhanced error diagnosis
-        const errorDetails = {
-          message: executionError.message || 'Unknown execution error',
-          stderr: executionError.stderr || '',
-          stdout: executionError.stdout || '',
-          code: executionError.code || 'UNKNOWN',
-          signal: executionError.signal || null,
-          killed: executionError.killed || false,
-          cmd: executionError.cmd || execCommand
-        };
-        
-        // Analyze error type and provide helpful suggestions
-        let errorAnalysis = '';
-        if (errorDetails.stderr) {
-          if (errorDetails.stderr.includes('ModuleNotFoundError')) {
-            errorAnalysis = '\n\n💡 Suggestion: Install the missing module using the python_install_package tool.';
-          } else if (errorDetails.stderr.includes('SyntaxError')) {
-            errorAnalysis = '\n\n💡 Suggestion: Check your Python code syntax.';
-          } else if (errorDetails.stderr.includes('MemoryError')) {
-            errorAnalysis = '\n\n💡 Suggestion: Try reducing data size or increase memory limits.';
-          } else if (errorDetails.stderr.includes('Permission')) {
-            errorAnalysis = '\n\n💡 Suggestion: Check file permissions or try running with appropriate privileges.';
+      // Inventory of what goes away, used for both dry runs and the report
+      const removed = [];
+      let files = 0;
+      let directories = 1;
+      let totalSize = 0;
+      const walk = async (dir) => {
+        for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+          const fullPath = join(dir, entry.name);
+          if (entry.isDirectory()) {
+            directories++;
+            removed.push(`${relative(resolvedPath, fullPath)}/`);
+            await walk(fullPath);
+          } else {
+            files++;
+            totalSize += (await fs.lstat(fullPath)).size;
+            removed.push(relative(resolvedPath, fullPath));
           }
         }
-        
-        if (errorDetails.code === 'ETIMEDOUT') {
-          errorAnalysis = `\n\n💡 Suggestion: Code execution timed out after ${timeout}ms. Consider optimizing your code or increasing the timeout.`;
-        } else if (errorDetails.killed) {
-          errorAnalysis = '\n\n💡 Suggestion: Process was terminated, possibly due to resource limits.';
-        }
-        
-        let fullErrorMessage = `Python execution failed: ${errorDetails.message}`;
-        if (errorDetails.stdout) fullErrorMessage += `\n\nStdout:\n${errorDetails.stdout}`;
-        if (errorDetails.stderr) fullErrorMessage += `\n\nStderr:\n${errorDetails.stderr}`;
-        if (errorAnalysis) fullErrorMessage += errorAnalysis;
-        
-        // Add debug information for developers
-        if (this.config.get('logLevel') === 'debug') {
-          fullErrorMessage += `\n\n🔍 Debug Info:\nCommand: ${errorDetails.cmd}\nExit Code: ${errorDetails.code}\nSignal: ${errorDetails.signal}\nKilled: ${errorDetails.killed}`;
-        }
-        
+      };
+      await walk(resolvedPath);
+
+      const summary = `${files} file${files === 1 ? '' : 's'} and ${directories} director${directories === 1 ? 'y' : 'ies'} (${this.formatFileSize(totalSize)})`;
+      const maxListed = 200;
+      const listing = removed.slice(0, maxListed).map(item => `  ${item}`).join('\n')
+        + (removed.length > maxListed ? `\n  ... and ${removed.length - maxListed} more` : '');
+
+      if (dryRun) {
         return {
           content: [
             {
               type: 'text',
-              text: fullErrorMessage,
+              text: `Dry run: deleting ${resolvedPath} would remove ${summary}${listing ? `:\n${listing}` : ''}`,
             },
           ],
-          isError: true,
         };
-      } finally {
-        // Enhanced cleanup with better error handling
-        const cleanupTasks = [];
-        
-        // Clean up temp file
-        if (existsSync(tempFile)) {
-          cleanupTasks.push(
-            fs.unlink(tempFile).catch(error => {
-              this.logger.warn(`Failed to delete temp file ${tempFile}: ${error.message}`);
-            })
-          );
-        }
-        
-        // Clean up images directory
-        if (existsSync(imageDir)) {
-          cleanupTasks.push(
-            fs.rm(imageDir, { recursive: true, force: true }).catch(error => {
-              this.logger.warn(`Failed to clean up image directory ${imageDir}: ${error.message}`);
-            })
-          );
-        }
-        
-        // Clean up any orphaned temp files in the work directory
-        try {
-          const workDirContents = await fs.readdir(workDir);
-          const tempFilePattern = /^temp_\d+_\w+\.py$/;
-          const oldTempFiles = workDirContents.filter(file => 
-            tempFilePattern.test(file) && file !== tempFile.split('/').pop()
-          );
-          
-          for (const oldTempFile of oldTempFiles) {
-            const oldTempPath = join(workDir, oldTempFile);
-            try {
-              const stats = await fs.stat(oldTempPath);
-              // Remove temp files older than 1 hour
-              if (Date.now() - stats.mtime.getTime() > 60 * 60 * 1000) {
-                cleanupTasks.push(
-                  fs.unlink(oldTempPath).catch(error => {
-                    this.logger.warn(`Failed to clean up old temp file ${oldTempPath}: ${error.message}`);
-                  })
-                );
-              }
-            } catch (statError) {
-              // If we can't stat the file, try to delete it anyway
-              cleanupTasks.push(
-                fs.unlink(oldTempPath).catch(error => {
-                  this.logger.warn(`Failed to clean up orphaned temp file ${oldTempPath}: ${error.message}`);
-                })
-              );
-            }
-          }
-        } catch (readdirError) {
-          this.logger.warn(`Failed to scan for orphaned temp files: ${readdirError.message}`);
-        }
-        
-        // Execute all cleanup tasks concurrently
-        if (cleanupTasks.length > 0) {
-          await Promise.allSettled(cleanupTasks);
-        }
       }
-    } catch (validationError) {
-      this.logger.error('Python validation failed', validationError);
-      throw validationError;
+
+      if (recursive) {
+        await fs.rm(resolvedPath, { recursive: true });
+      } else {
+        await fs.rmdir(resolvedPath);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Directory deleted: ${resolvedPath} (removed ${summary})`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to delete directory ${path}: ${error.message}`);
     }
   }
 
-  injectImageCapture(code, imageDir) {
-    // Properly escape path for cross-platform compatibility
-    const escapedImageDir = imageDir.replace(/\\/g, '\\\\').replace(/'/g, "\'");
+  async listDirectory(args) {
+    const {
+      path = '.',
+      show_hidden = false,
+      recursive = false,
+      max_depth: maxDepth = recursive ? Infinity : 1,
+      include = [],
+      exclude = [],
+      sort = 'name',
+      order = 'asc',
+      limit = 200,
+      cursor,
+    } = args;
+    const resolvedPath = await this.resolvePath(path);
+    const depthLimit = recursive ? Math.max(1, maxDepth) : 1;
+    const pageSize = Math.max(1, Math.floor(limit));
+    const maxEntries = 100000;
     
-    const imageCapture = `
-import os
-import sys
-import io
-import base64
-from pathlib import Path
+    try {
+      const offset = cursor ? parseInt(Buffer.from(cursor, 'base64url').toString('utf8')) : 0;
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw new Error('Invalid cursor');
+      }
 
-# Setup image capture directory with proper path handling
-IMAGE_DIR = r"${escapedImageDir}"
-try:
-    os.makedirs(IMAGE_DIR, exist_ok=True)
-except Exception as e:
-    print(f"Warning: Could not create image directory: {e}")
-    IMAGE_DIR = os.getcwd()  # Fallback to current directory
+      // Globs without a "/" match the entry name at any depth
+      const toMatchers = (globs) => globs.map(item => new Minimatch(item, { dot: true, matchBase: !item.includes('/') }));
+      const includeMatchers = toMatchers(include);
+      const excludeMatchers = toMatchers(exclude);
+      const compare = {
+        name: (a, b) => a.name.localeCompare(b.name),
+        size: (a, b) => a.size - b.size || a.name.localeCompare(b.name),
+        mtime: (a, b) => a.mtimeMs - b.mtimeMs || a.name.localeCompare(b.name),
+      }[sort];
+      if (!compare) {
+        throw new Error(`Unknown sort key: ${sort}`);
+      }
 
-# Global image counter and saved figures tracking
-_image_counter = 0
-_saved_figures = set()  # Track saved figure objects to prevent duplicates
+      let visited = 0;
+      let truncated = false;
 
-# Hook matplotlib if available
-try:
-    import matplotlib
-    import matplotlib.pyplot as plt
-    matplotlib.use('Agg')  # Use non-interactive backend
-    
-    # Override plt.show() to save images
-    _original_plt_show = plt.show
-    def _capture_plt_show(*args, **kwargs):
-        global _image_counter, _saved_figures
-        try:
-            if plt.get_fignums():  # If there are figures
-                for fig_num in plt.get_fignums():
-                    fig = plt.figure(fig_num)
-                    fig_id = id(fig)  # Use object id to track unique figures
-                    
-                    # Only save if this figure hasn't been saved before
-                    if fig_id not in _saved_figures:
-                        filename = os.path.join(IMAGE_DIR, f'plot_{_image_counter}.png')
-                        fig.savefig(filename, dpi=150, bbox_inches='tight', 
-                                   facecolor='white', edgecolor='none')
-                        _saved_figures.add(fig_id)
-                        _image_counter += 1
-            # Call original show to clear figures
-            _original_plt_show(*args, **kwargs)
-        except Exception as e:
-            print(f"Warning: Failed to capture plot: {e}")
-            _original_plt_show(*args, **kwargs)
-    
-    plt.show = _capture_plt_show
-    
-    # Also hook savefig to capture manual saves
-    _original_savefig = plt.savefig
-    def _capture_savefig(fname, *args, **kwargs):
-        global _image_counter, _saved_figures
-        try:
-            # Get current figure to track it
-            current_fig = plt.gcf()
-            fig_id = id(current_fig)
-            
-            if not os.path.isabs(fname):
-                # If relative path, save to our image directory
-                fname = os.path.join(IMAGE_DIR, f'saved_{_image_counter}.png')
-                _saved_figures.add(fig_id)  # Mark as saved
-                _image_counter += 1
-            else:
-                # For absolute paths, still mark as saved to avoid duplicates
-                _saved_figures.add(fig_id)
-                
-            return _original_savefig(fname, *args, **kwargs)
-        except Exception as e:
-            print(f"Warning: Failed to save figure: {e}")
-            return _original_savefig(fname, *args, **kwargs)
-    
-    plt.savefig = _capture_savefig
-    
-except ImportError:
-    pass  # matplotlib not available
-except Exception as e:
-    print(f"Warning: Failed to setup matplotlib hooks: {e}")
+      // Depth-first walk returning entries in display order; stats for a
+      // directory's children are gathered in parallel
+      const walk = async (dir, depth) => {
+        let dirents;
+        try {
+          dirents = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+          if (depth === 1) throw error;
+          return [];
+        }
+
+        const children = (await Promise.all(dirents
+          .filter(entry => show_hidden || !entry.name.startsWith('.'))
+          .map(async (entry) => {
+            const fullPath = join(dir, entry.name);
+            const rel = relative(resolvedPath, fullPath).split(sep).join('/');
+            if (excludeMatchers.some(m => m.match(rel))) return null;
+            try {
+              return await this.describeDirectoryEntry(fullPath, rel, entry.name, depth);
+            } catch {
+              // Removed while listing
+              return null;
+            }
+          })))
+          .filter(Boolean)
+          .sort((a, b) => (order === 'desc' ? -compare(a, b) : compare(a, b)));
+
+        const result = [];
+        for (const child of children) {
+          if (visited >= maxEntries) {
+            truncated = true;
+            break;
+          }
+          visited++;
+          const selfMatches = includeMatchers.length === 0 || includeMatchers.some(m => m.match(child.path));
+          // Symlinked directories are not followed, so loops are impossible
+          const descendants = child.type === 'directory' && depth < depthLimit
+            ? await walk(join(dir, child.name), depth + 1)
+            : [];
+          if (selfMatches || descendants.length > 0) {
+            result.push(child, ...descendants);
+          }
+        }
+        return result;
+      };
+
+      const entries = await walk(resolvedPath, 1);
+      this.markTreeBranches(entries);
+      const page = entries.slice(offset, offset + pageSize);
+      const nextCursor = offset + pageSize < entries.length
+        ? Buffer.from(String(offset + pageSize), 'utf8').toString('base64url')
+        : null;
+
+      let text = recursive
+        ? `${resolvedPath}/\n${page.map(entry => `${entry.prefix}${this.formatDirectoryEntry(entry)}`).join('\n')}`
+        : `Contents of ${resolvedPath}:\n\n${page.map(entry => {
+          const type = { directory: 'DIR', file: 'FILE', symlink: 'LINK', other: 'OTHR' }[entry.type];
+          return `${type.padEnd(4)} ${this.formatDirectoryEntry(entry)}`;
+        }).join('\n')}`;
+      if (entries.length === 0) {
+        text += includeMatchers.length > 0 ? '(no matching entries)' : '(empty)';
+      }
+      if (nextCursor) {
+        text += `\n\nShowing ${offset + 1}-${offset + page.length} of ${entries.length} entries. Pass cursor "${nextCursor}" for the next page.`;
+      }
+      if (truncated) {
+        text += `\n\nStopped after ${maxEntries} entries; narrow the listing with max_depth or exclude.`;
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text,
+          },
+        ],
+        structuredContent: {
+          path: resolvedPath,
+          entries: page.map(({ prefix, isLast, mtimeMs, ...entry }) => entry),
+          total: entries.length,
+          next_cursor: nextCursor,
+          truncated,
+        },
+      };
+    } catch (error) {
+      throw new Error(`Failed to list directory ${path}: ${error.message}`);
+    }
+  }
 
-# Hook PIL/Pillow if available
-try:
-    from PIL import Image
-    _original_pil_show = Image.Image.show
-    def _capture_pil_show(self, title=None, command=None):
-        global _image_counter
-        try:
-            filename = os.path.join(IMAGE_DIR, f'pil_{_image_counter}.png')
-            self.save(filename)
-            _image_counter += 1
-        except Exception as e:
-            print(f"Warning: Failed to capture PIL image: {e}")
-    
-    Image.Image.show = _capture_pil_show
-except ImportError:
-    pass  # PIL not available
-except Exception as e:
-    print(f"Warning: Failed to setup PIL hooks: {e}")
+  // lstat the entry itself so symlinks are reported as links, dangling or not
+  async describeDirectoryEntry(fullPath, relPath, name, depth) {
+    const stats = await fs.lstat(fullPath);
+    const permissionBits = stats.mode & 0o777;
+    const entry = {
+      path: relPath,
+      name,
+      type: stats.isDirectory() ? 'directory' : stats.isFile() ? 'file' : stats.isSymbolicLink() ? 'symlink' : 'other',
+      depth,
+      size: stats.size,
+      modified: stats.mtime.toISOString(),
+      mtimeMs: stats.mtimeMs,
+      permissions: [6, 3, 0].map(shift => {
+        const bits = (permissionBits >> shift) & 7;
+        return `${bits & 4 ? 'r' : '-'}${bits & 2 ? 'w' : '-'}${bits & 1 ? 'x' : '-'}`;
+      }).join(''),
+      mode: permissionBits.toString(8).padStart(3, '0'),
+    };
 
-# Your code starts here:
-${code}
+    if (entry.type === 'symlink') {
+      entry.symlink_target = await fs.readlink(fullPath);
+      try {
+        const targetStats = await fs.stat(fullPath);
+        entry.target_type = targetStats.isDirectory() ? 'directory' : targetStats.isFile() ? 'file' : 'other';
+      } catch {
+        entry.target_type = null;
+      }
+    }
+    return entry;
+  }
 
-# Auto-save any remaining matplotlib figures that haven't been saved yet
-try:
-    import matplotlib.pyplot as plt
-    if plt.get_fignums():
-        # Check if there are any unsaved figures
-        unsaved_figures = False
-        for fig_num in plt.get_fignums():
-            fig = plt.figure(fig_num)
-            if id(fig) not in _saved_figures:
-                unsaved_figures = True
-                break
-        
-        # Only call show if there are unsaved figures
-        if unsaved_figures:
-            plt.show()  # This will trigger our capture for unsaved figures only
-except:
-    pass
-`;
-    
-    return imageCapture;
+  // Work out the "├── " / "└── " prefix for each entry of a pre-order walk
+  markTreeBranches(entries) {
+    // Backwards pass: an entry is last if no sibling follows it
+    const siblingFollows = [];
+    for (let index = entries.length - 1; index >= 0; index--) {
+      const { depth } = entries[index];
+      entries[index].isLast = !siblingFollows[depth];
+      siblingFollows[depth] = true;
+      siblingFollows.length = depth + 1;
+    }
+
+    const continuing = [];
+    for (const entry of entries) {
+      continuing.length = entry.depth - 1;
+      entry.prefix = `${continuing.map(more => (more ? '│   ' : '    ')).join('')}${entry.isLast ? '└── ' : '├── '}`;
+      continuing.push(!entry.isLast);
+    }
   }
 
-  async collectImages(imageDir) {
-    const images = [];
+  formatDirectoryEntry(entry) {
+    let label = entry.type === 'directory' ? `${entry.name}/` : entry.name;
+    if (entry.type === 'symlink') {
+      label += ` -> ${entry.symlink_target}${entry.target_type ? '' : ' [dangling]'}`;
+    }
+    const size = entry.type === 'file' ? `${this.formatFileSize(entry.size)}, ` : '';
+    return `${label} (${size}${entry.permissions}, ${entry.modified})`;
+  }
+
+
+  formatFileSize(bytes) {
+    if (bytes === 0) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  }
+
+  // New advanced file operations
+  async copyFile(args) {
+    const { source, destination } = args;
+    const resolvedSource = await this.resolvePath(source);
+    const resolvedDestination = await this.resolvePath(destination, { write: true });
     
     try {
-      if (!existsSync(imageDir)) {
-        console.log('Image directory does not exist');
-        return images;
+      if (!existsSync(resolvedSource)) {
+        throw new Error(`Source does not exist: ${resolvedSource}`);
       }
-
-      const imageFiles = await glob(join(imageDir, '*.{png,jpg,jpeg,gif,svg}').replace(/\\/g, '/'));
-      console.log(`Found ${imageFiles.length} image files:`, imageFiles);
       
-      if (imageFiles.length === 0) {
-        return images;
+      // Ensure destination directory exists
+      const destDir = dirname(resolvedDestination);
+      if (!existsSync(destDir)) {
+        mkdirSync(destDir, { recursive: true });
       }
       
-      // Limit to first 3 images to avoid overwhelming responses
-      const limitedFiles = imageFiles.slice(0, 3);
+      // Check if source is a directory
+      const stats = await fs.stat(resolvedSource);
+      if (stats.isDirectory()) {
+        await fs.cp(resolvedSource, resolvedDestination, { recursive: true });
+      } else {
+        await fs.copyFile(resolvedSource, resolvedDestination);
+      }
       
-      for (const imagePath of limitedFiles) {
-        try {
-          const stats = await fs.stat(imagePath);
-          console.log(`Processing image: ${imagePath} (${stats.size} bytes)`);
-          
-          // Skip very small files (likely incomplete)
-          if (stats.size < 100) {
-            console.log(`Skipping very small image: ${imagePath} (${stats.size} bytes)`);
-            continue;
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${stats.isDirectory() ? 'Directory' : 'File'} copied from ${resolvedSource} to ${resolvedDestination}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to copy from ${source} to ${destination}: ${error.message}`);
+    }
+  }
+
+  // Split text into lines, remembering the line ending style and whether
+  // the text ends with a newline so joinLines can reproduce it
+  splitLines(content) {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const trailingNewline = content.endsWith('\n');
+    const lines = content === '' ? [] : content.split(/\r?\n/);
+    if (trailingNewline) lines.pop();
+    return { lines, eol, trailingNewline };
+  }
+
+  joinLines({ lines, eol, trailingNewline }) {
+    if (lines.length === 0) return '';
+    return lines.join(eol) + (trailingNewline ? eol : '');
+  }
+
+  // Write through a temp file in the same directory and rename it into
+  // place, so readers never see a half-written file
+  async writeFileAtomic(filePath, content) {
+    const tempPath = join(dirname(filePath), `.${basename(filePath)}.${randomBytes(6).toString('hex')}.tmp`);
+    let mode;
+    try {
+      mode = (await fs.stat(filePath)).mode;
+    } catch {
+      // New file
+    }
+    try {
+      await fs.writeFile(tempPath, content, mode !== undefined ? { mode } : undefined);
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async editFile(args) {
+    const { path, operation = 'replace' } = args;
+    const resolvedPath = await this.resolvePath(path, { write: true });
+
+    try {
+      const content = await fs.readFile(resolvedPath, 'utf8');
+      let updated;
+      let summary;
+
+      switch (operation) {
+        case 'replace': {
+          const { old_string: oldString, new_string: newString, replace_all: replaceAll = false } = args;
+          if (typeof oldString !== 'string' || oldString === '') {
+            throw new Error('old_string is required and must not be empty');
           }
-          
-          const imageBuffer = readFileSync(imagePath);
-          
-          if (!imageBuffer || imageBuffer.length === 0) {
-            console.log(`Empty image file: ${imagePath}`);
-            continue;
+          if (typeof newString !== 'string') {
+            throw new Error('new_string is required');
           }
-          
-          // Convert to base64 with proper validation
-          let base64Data;
-          try {
-            base64Data = imageBuffer.toString('base64');
-          } catch (encodeError) {
-            console.error(`Base64 encoding failed for ${imagePath}:`, encodeError.message);
-            continue;
+          const parts = content.split(oldString);
+          const count = parts.length - 1;
+          if (count === 0) {
+            throw new Error('old_string was not found in the file');
           }
-          
-          if (!base64Data || base64Data.length === 0) {
-            console.log(`Failed to encode image: ${imagePath}`);
-            continue;
+          if (count > 1 && !replaceAll) {
+            throw new Error(`old_string matches ${count} times; include more surrounding text to make it unique, or set replace_all`);
           }
-          
-          // Enhanced base64 validation
-          if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64Data)) {
-            console.log(`Invalid base64 format: ${imagePath} - length: ${base64Data.length}`);
-            console.log(`First 100 chars: ${base64Data.substring(0, 100)}`);
-            continue;
+          updated = parts.join(newString);
+          const firstLine = content.slice(0, content.indexOf(oldString)).split('\n').length;
+          summary = `replaced ${count} occurrence${count === 1 ? '' : 's'} (first at line ${firstLine})`;
+          break;
+        }
+        case 'insert': {
+          const { line, text } = args;
+          if (typeof text !== 'string') {
+            throw new Error('text is required for insert');
           }
-          
-          // Determine proper MIME type
-          const ext = imagePath.split('.').pop().toLowerCase();
-          let mimeType = 'image/png';
-          switch (ext) {
-            case 'jpg':
-            case 'jpeg':
-              mimeType = 'image/jpeg';
-              break;
-            case 'gif':
-              mimeType = 'image/gif';
-              break;
-            case 'svg':
-              mimeType = 'image/svg+xml';
-              break;
-            default:
-              mimeType = 'image/png';
+          const file = this.splitLines(content);
+          if (!Number.isInteger(line) || line < 1 || line > file.lines.length + 1) {
+            throw new Error(`line must be between 1 and ${file.lines.length + 1}`);
           }
-          
-          // Create clean data URL - don't include data: prefix in the data field
-          images.push({
-            data: base64Data,
-            mimeType: mimeType,
-          });
-          
-          console.log(`Successfully processed image: ${imagePath} - base64 length: ${base64Data.length}`);
-          
+          const inserted = this.splitLines(text.endsWith('\n') ? text : `${text}\n`).lines;
+          // Inserted text always ends in a newline, so appending leaves one at the end
+          if (line === file.lines.length + 1) file.trailingNewline = true;
+          file.lines.splice(line - 1, 0, ...inserted);
+          updated = this.joinLines(file);
+          summary = `inserted ${inserted.length} line${inserted.length === 1 ? '' : 's'} before line ${line}`;
+          break;
+        }
+        case 'delete': {
+          const { start_line: startLine, end_line: endLine = startLine } = args;
+          const file = this.splitLines(content);
+          if (!Number.isInteger(startLine) || !Number.isInteger(endLine)
+            || startLine < 1 || endLine < startLine || endLine > file.lines.length) {
+            throw new Error(`start_line and end_line must satisfy 1 <= start_line <= end_line <= ${file.lines.length}`);
+          }
+          file.lines.splice(startLine - 1, endLine - startLine + 1);
+          updated = this.joinLines(file);
+          summary = `deleted lines ${startLine}-${endLine}`;
+          break;
+        }
+        default:
+          throw new Error(`Unknown operation: ${operation}`);
+      }
+
+      await this.writeFileAtomic(resolvedPath, updated);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Edited ${resolvedPath}: ${summary}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to edit file ${path}: ${error.message}`);
+    }
+  }
+
+  // Parse a unified diff into per-file hunks. Header lines other than
+  // ---/+++/@@ (diff --git, index, mode lines) are ignored.
+  parseUnifiedDiff(patch) {
+    const files = [];
+    const lines = patch.split(/\r?\n/);
+    const stripPrefix = (name) => {
+      const path = name.split('\t')[0].trim();
+      if (path === '/dev/null') return null;
+      return /^[ab]\//.test(path) ? path.slice(2) : path;
+    };
+
+    let file = null;
+    let hunk = null;
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      // Until its line counts are used up, every line belongs to the hunk,
+      // even a removed line that reads like a "--- " file header
+      if (hunk && (hunk.oldLines.length < hunk.oldCount || hunk.newLines.length < hunk.newCount)) {
+        if (line.startsWith('\\')) {
+          this.markNoNewline(hunk, lines[i - 1]);
+        } else if (line.startsWith(' ') || line === '') {
+          hunk.oldLines.push(line.slice(1));
+          hunk.newLines.push(line.slice(1));
+        } else if (line.startsWith('-')) {
+          hunk.oldLines.push(line.slice(1));
+        } else if (line.startsWith('+')) {
+          hunk.newLines.push(line.slice(1));
+        } else {
+          throw new Error(`Unexpected line in hunk ${hunk.header}: ${line}`);
+        }
+        continue;
+      }
+      if (hunk && line.startsWith('\\')) {
+        this.markNoNewline(hunk, lines[i - 1]);
+        continue;
+      }
+      hunk = null;
+
+      if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+        file = { oldPath: stripPrefix(line.slice(4)), newPath: stripPrefix(lines[i + 1].slice(4)), hunks: [] };
+        files.push(file);
+        i++;
+        continue;
+      }
+
+      const header = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line);
+      if (header) {
+        if (!file) throw new Error(`Hunk before any file header: ${line}`);
+        hunk = {
+          header: line,
+          oldStart: parseInt(header[1]),
+          oldCount: header[2] !== undefined ? parseInt(header[2]) : 1,
+          newCount: header[4] !== undefined ? parseInt(header[4]) : 1,
+          oldLines: [],
+          newLines: [],
+          oldNoNewline: false,
+          newNoNewline: false,
+        };
+        file.hunks.push(hunk);
+      }
+    }
+
+    for (const { hunks } of files) {
+      for (const { header, oldLines, newLines, oldCount, newCount } of hunks) {
+        if (oldLines.length !== oldCount || newLines.length !== newCount) {
+          throw new Error(`Hunk ${header} is truncated or has wrong line counts`);
+        }
+      }
+    }
+    return files.filter(entry => entry.hunks.length > 0 || entry.oldPath !== entry.newPath);
+  }
+
+  // "\ No newline at end of file" applies to the line just before it
+  markNoNewline(hunk, previous = '') {
+    if (previous.startsWith('-') || previous.startsWith(' ')) hunk.oldNoNewline = true;
+    if (previous.startsWith('+') || previous.startsWith(' ')) hunk.newNoNewline = true;
+  }
+
+  // Find where a hunk applies: at the expected line if possible, otherwise
+  // the nearest position where its old lines match exactly
+  locateHunk(lines, oldLines, expected) {
+    const matchesAt = (position) => oldLines.every((text, index) => lines[position + index] === text);
+    const maxPosition = lines.length - oldLines.length;
+    if (maxPosition < 0) return -1;
+    for (let distance = 0; distance <= lines.length; distance++) {
+      for (const position of [expected - distance, expected + distance]) {
+        if (position >= 0 && position <= maxPosition && matchesAt(position)) return position;
+      }
+    }
+    return -1;
+  }
+
+  async applyPatch(args) {
+    const { patch } = args;
+    if (typeof patch !== 'string' || patch.trim() === '') {
+      throw new Error('patch is required');
+    }
+
+    const files = this.parseUnifiedDiff(patch);
+    if (files.length === 0) {
+      throw new Error('No file changes found in patch');
+    }
+
+    const rejected = [];
+    const results = [];
+    for (const file of files) {
+      const displayPath = file.newPath || file.oldPath;
+      const sourcePath = file.oldPath ? await this.resolvePath(file.oldPath, { write: true }) : null;
+      const targetPath = file.newPath ? await this.resolvePath(file.newPath, { write: true }) : null;
+
+      let original = '';
+      if (sourcePath) {
+        try {
+          original = await fs.readFile(sourcePath, 'utf8');
         } catch (error) {
-          console.error(`Failed to process image ${imagePath}:`, error.message);
+          rejected.push(`${displayPath}: cannot read ${file.oldPath}: ${error.message}`);
+          continue;
+        }
+      } else if (existsSync(targetPath)) {
+        rejected.push(`${displayPath}: patch creates the file, but it already exists`);
+        continue;
+      }
+
+      const state = this.splitLines(original);
+      let offset = 0;
+      const notes = [];
+      file.hunks.forEach((hunk, index) => {
+        // For pure insertions oldStart names the line after which text goes
+        const expected = (hunk.oldCount === 0 ? hunk.oldStart : hunk.oldStart - 1) + offset;
+        const position = hunk.oldLines.length === 0
+          ? Math.min(Math.max(expected, 0), state.lines.length)
+          : this.locateHunk(state.lines, hunk.oldLines, expected);
+        if (position < 0) {
+          rejected.push(`${displayPath}: hunk #${index + 1} ${hunk.header}: context does not match the file`);
+          return;
+        }
+        if (position !== expected) {
+          notes.push(`hunk #${index + 1} applied at offset ${position - expected > 0 ? '+' : ''}${position - expected}`);
+        }
+        state.lines.splice(position, hunk.oldLines.length, ...hunk.newLines);
+        offset += position - expected + hunk.newLines.length - hunk.oldLines.length;
+        if (position + hunk.newLines.length === state.lines.length) {
+          if (hunk.newNoNewline) state.trailingNewline = false;
+          else if (hunk.oldNoNewline || original === '') state.trailingNewline = true;
+        }
+      });
+
+      results.push({ file, displayPath, sourcePath, targetPath, content: this.joinLines(state), notes });
+    }
+
+    if (rejected.length > 0) {
+      throw new Error(`Patch not applied; no files were changed. Rejected:\n${rejected.map(item => `- ${item}`).join('\n')}`);
+    }
+
+    // Everything applied in memory. Write each result to a temp file next
+    // to its target first, then move the originals aside and the results
+    // into place; if anything fails, the originals are put back.
+    const siblingPath = (path, suffix) => join(dirname(path), `.${basename(path)}.${randomBytes(6).toString('hex')}.${suffix}`);
+    const staged = [];
+    const committed = [];
+    try {
+      for (const result of results) {
+        const entry = { ...result, tempPath: null, createdDir: null, placed: false, backups: [] };
+        staged.push(entry);
+        if (!result.targetPath) continue;
+        entry.createdDir = await fs.mkdir(dirname(result.targetPath), { recursive: true });
+        let mode;
+        try {
+          mode = (await fs.stat(result.sourcePath || result.targetPath)).mode;
+        } catch {
+          // New file
+        }
+        entry.tempPath = siblingPath(result.targetPath, 'tmp');
+        await fs.writeFile(entry.tempPath, result.content, mode !== undefined ? { mode } : undefined);
+      }
+
+      for (const entry of staged) {
+        committed.push(entry);
+        for (const path of new Set([entry.sourcePath, entry.targetPath].filter(Boolean))) {
+          if (!existsSync(path)) continue;
+          const backupPath = siblingPath(path, 'orig');
+          await fs.rename(path, backupPath);
+          entry.backups.push({ path, backupPath });
+        }
+        if (entry.tempPath) {
+          await fs.rename(entry.tempPath, entry.targetPath);
+          entry.placed = true;
         }
       }
-      
-      if (imageFiles.length > 3) {
-        console.log(`Note: Showing first 3 of ${imageFiles.length} generated images`);
-      }
-      
-      console.log(`Returning ${images.length} processed images`);
-      
     } catch (error) {
-      console.error('Failed to collect images:', error.message);
+      for (const entry of committed.reverse()) {
+        if (entry.placed) await fs.rm(entry.targetPath, { force: true }).catch(() => {});
+        for (const { path, backupPath } of entry.backups.reverse()) {
+          await fs.rename(backupPath, path).catch(restoreError => {
+            this.logger.error(`Failed to restore ${path} from ${backupPath}`, restoreError);
+          });
+        }
+      }
+      for (const entry of staged) {
+        if (entry.tempPath) await fs.rm(entry.tempPath, { force: true }).catch(() => {});
+        if (entry.createdDir) await fs.rm(entry.createdDir, { recursive: true, force: true }).catch(() => {});
+      }
+      throw new Error(`Patch not applied; no files were changed: ${error.message}`);
     }
-    
-    return images;
+
+    const summary = [];
+    for (const { file, displayPath, sourcePath, targetPath, notes, backups } of staged) {
+      for (const { backupPath } of backups) {
+        await fs.rm(backupPath, { force: true }).catch(() => {});
+      }
+      if (!targetPath) {
+        summary.push(`deleted ${displayPath}`);
+      } else if (sourcePath && sourcePath !== targetPath) {
+        summary.push(`renamed ${file.oldPath} -> ${displayPath}`);
+      } else {
+        summary.push(`${sourcePath ? 'patched' : 'created'} ${displayPath} (${file.hunks.length} hunk${file.hunks.length === 1 ? '' : 's'}${notes.length ? `; ${notes.join(', ')}` : ''})`);
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Patch applied to ${results.length} file${results.length === 1 ? '' : 's'}:\n${summary.map(item => `- ${item}`).join('\n')}`,
+        },
+      ],
+    };
   }
 
-  async installPackages(args, session = null) {
-    const { packages } = args;
-    
-    // Validate packages
-    this.validatePackages(packages);
-    
-    await this.ensureVirtualEnvironment(session);
-    
-    const pipPath = await this.getPipPath(session);
-    const packageList = packages.join(' ');
+  async searchFiles(args, extra = {}) {
+    const {
+      pattern,
+      path = '.',
+      search_content = false,
+      exclude = ['**/node_modules/**', '**/venv/**', '**/__pycache__/**'],
+      max_results: maxResults = 100,
+    } = args;
+    const { signal } = extra;
+    const resolvedPath = await this.resolvePath(path);
     
     try {
-      this.logger.debug(`Installing packages: ${packageList}`);
-      
-      const { stdout, stderr } = await execAsync(`"${pipPath}" install ${packageList}`, {
-        cwd: session ? session.dir : this.workDir,
-        timeout: this.config.get('maxExecutionTime'),
+      if (!existsSync(resolvedPath)) {
+        throw new Error(`Search path does not exist: ${resolvedPath}`);
+      }
+
+      if (search_content) {
+        return await this.searchFileContents(resolvedPath, args, signal);
+      }
+
+      // Search file names
+      const searchPattern = pattern.includes('*') ? pattern : `*${pattern}*`;
+      const results = await glob(join(resolvedPath, '**', searchPattern).replace(/\\/g, '/'), {
+        ignore: ['**/.git/**', ...exclude],
+        signal,
       });
+      results.sort();
+      const truncated = results.length > maxResults;
+      const files = results.slice(0, maxResults);
 
+      const resultText = files.length > 0
+        ? `Found ${results.length} matching files:\n\n${files.join('\n')}${truncated ? `\n\n... and ${results.length - maxResults} more` : ''}`
+        : `No matching files found for pattern: ${pattern}`;
+      
       return {
         content: [
           {
             type: 'text',
-            text: `Packages installed successfully in ${session ? `session ${session.id}` : 'global environment'}:\n${stdout}${stderr ? '\nWarnings:\n' + stderr : ''}`,
+            text: resultText,
           },
         ],
+        structuredContent: {
+          mode: 'name',
+          pattern,
+          files,
+          matches: [],
+          files_searched: results.length,
+          files_skipped: 0,
+          truncated,
+        },
       };
     } catch (error) {
-      throw new Error(`Failed to install packages: ${error.message}`);
+      if (error instanceof OperationCancelledError || signal?.aborted) {
+        throw new OperationCancelledError(`Search for "${pattern}" cancelled by client`);
+      }
+      throw new Error(`Search failed: ${error.message}`);
     }
   }
 
-  async listPackages(args = {}) {
-    await this.ensureVirtualEnvironment();
-    
-    const pipPath = await this.getPipPath();
+  // Parse a .gitignore into rules matched against paths relative to its
+  // directory. Later rules win; "!" re-includes; a trailing "/" matches
+  // directories only; patterns without an inner "/" match at any depth.
+  parseGitignore(content, baseDir) {
+    const rules = [];
+    for (const rawLine of content.split(/\r?\n/)) {
+      let line = rawLine.replace(/(?<!\\)\s+$/, '');
+      if (!line || line.startsWith('#')) continue;
+
+      const negate = line.startsWith('!');
+      if (negate) line = line.slice(1);
+      const dirOnly = line.endsWith('/');
+      if (dirOnly) line = line.slice(0, -1);
+      const anchored = line.includes('/');
+      if (line.startsWith('/')) line = line.slice(1);
+      if (!line) continue;
+
+      rules.push({
+        baseDir,
+        negate,
+        dirOnly,
+        matcher: new Minimatch(anchored ? line : `**/${line}`, { dot: true }),
+      });
+    }
+    return rules;
+  }
+
+  isGitignored(rules, fullPath, isDirectory) {
+    let ignored = false;
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDirectory) continue;
+      const rel = relative(rule.baseDir, fullPath).split(sep).join('/');
+      if (rel.startsWith('..')) continue;
+      if (rule.matcher.match(rel)) ignored = !rule.negate;
+    }
+    return ignored;
+  }
+
+  async searchFileContents(rootPath, args, signal) {
+    const {
+      pattern,
+      regex = false,
+      case_sensitive: caseSensitive = true,
+      include = [],
+      exclude = ['**/node_modules/**', '**/venv/**', '**/__pycache__/**'],
+      context_lines: contextLines = 0,
+      max_results: maxResults = 100,
+      respect_gitignore: respectGitignore = true,
+    } = args;
+    const before = Math.max(0, Math.floor(args.before_context ?? contextLines));
+    const after = Math.max(0, Math.floor(args.after_context ?? contextLines));
+
+    const matcher = new RegExp(regex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), caseSensitive ? '' : 'i');
+
+    // Globs without a "/" match the file name at any depth
+    const toMatchers = (globs) => globs.map(item => new Minimatch(item, { dot: true, matchBase: !item.includes('/') }));
+    const includeMatchers = toMatchers(include);
+    const excludeMatchers = toMatchers(exclude);
+    const isExcluded = (rel, isDirectory) => excludeMatchers.some(m => m.match(rel) || (isDirectory && m.match(`${rel}/`)));
+
+    // .gitignore files between the workspace root and the search root apply too
+    let rootRules = [];
+    if (respectGitignore) {
+      const ancestors = [];
+      for (let dir = rootPath; ; dir = dirname(dir)) {
+        ancestors.unshift(dir);
+        if (!this.isWithinRoot(this.workDir, dir) || dir === resolve(this.workDir) || dirname(dir) === dir) break;
+      }
+      for (const dir of ancestors.slice(0, -1)) {
+        rootRules = rootRules.concat(await this.readGitignore(dir));
+      }
+    }
+
+    const matches = [];
+    const filesWithMatches = [];
+    let filesSearched = 0;
+    let filesSkipped = 0;
+    let truncated = false;
+
+    const walk = async (dir, rules) => {
+      if (respectGitignore) rules = rules.concat(await this.readGitignore(dir));
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const entry of entries) {
+        if (truncated) return;
+        if (signal?.aborted) {
+          throw new OperationCancelledError(`Search for "${pattern}" cancelled by client`);
+        }
+        const fullPath = join(dir, entry.name);
+        const rel = relative(rootPath, fullPath).split(sep).join('/');
+        const isDirectory = entry.isDirectory();
+        if (entry.name === '.git' || isExcluded(rel, isDirectory)) continue;
+        if (respectGitignore && this.isGitignored(rules, fullPath, isDirectory)) continue;
+
+        if (isDirectory) {
+          await walk(fullPath, rules);
+        } else if (entry.isFile()) {
+          if (includeMatchers.length > 0 && !includeMatchers.some(m => m.match(rel))) continue;
+          // Looking for one match past the limit tells exactly max_results
+          // matches apart from a truncated search
+          const found = await this.searchFile(fullPath, matcher, { before, after, limit: maxResults + 1 - matches.length });
+          if (found === null) {
+            filesSkipped++;
+            continue;
+          }
+          filesSearched++;
+          const kept = found.slice(0, maxResults - matches.length);
+          if (kept.length < found.length) truncated = true;
+          if (kept.length > 0) {
+            filesWithMatches.push(rel);
+            matches.push(...kept.map(item => ({ file: rel, ...item })));
+          }
+        }
+      }
+    };
+
+    await walk(rootPath, rootRules);
+
+    let text;
+    if (matches.length === 0) {
+      text = `No content matches found for pattern: ${pattern} (searched ${filesSearched} files)`;
+    } else {
+      const lines = [`Found ${matches.length}${truncated ? '+' : ''} matches in ${filesWithMatches.length} files (searched ${filesSearched} files):`];
+      // grep-style: context shared by neighbouring matches is printed once,
+      // and "--" separates groups that are not contiguous
+      let currentFile = null;
+      let lastPrinted = 0;
+      const printLine = (number, text) => {
+        if (number <= lastPrinted) return;
+        if (lastPrinted > 0 && number > lastPrinted + 1 && (before > 0 || after > 0)) lines.push('  --');
+        lines.push(text);
+        lastPrinted = number;
+      };
+      for (const item of matches) {
+        if (item.file !== currentFile) {
+          currentFile = item.file;
+          lastPrinted = 0;
+          lines.push('', item.file);
+        }
+        item.before?.forEach((contextLine, index) => {
+          const number = item.line - item.before.length + index;
+          printLine(number, `  ${number}-  ${contextLine}`);
+        });
+        printLine(item.line, `  ${item.line}:${item.column}: ${item.text}`);
+        item.after?.forEach((contextLine, index) => {
+          const number = item.line + index + 1;
+          // A later match on this line prints it as a match instead
+          if (!matches.some(other => other.file === item.file && other.line === number)) {
+            printLine(number, `  ${number}-  ${contextLine}`);
+          }
+        });
+      }
+      if (truncated) {
+        lines.push('', `Stopped after ${maxResults} matches; raise max_results or narrow the search to see more.`);
+      }
+      text = lines.join('\n');
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text,
+        },
+      ],
+      structuredContent: {
+        mode: 'content',
+        pattern,
+        files: filesWithMatches,
+        matches,
+        files_searched: filesSearched,
+        files_skipped: filesSkipped,
+        truncated,
+      },
+    };
+  }
+
+  async readGitignore(dir) {
+    try {
+      return this.parseGitignore(await fs.readFile(join(dir, '.gitignore'), 'utf8'), dir);
+    } catch {
+      return [];
+    }
+  }
+
+  // Stream one file line by line. Returns null for binary or unreadable
+  // files, otherwise up to `limit` matches with their context lines.
+  async searchFile(filePath, matcher, { before, after, limit }) {
+    try {
+      const handle = await fs.open(filePath, 'r');
+      try {
+        const sample = Buffer.alloc(8192);
+        const { bytesRead } = await handle.read(sample, 0, sample.length, 0);
+        if (sample.subarray(0, bytesRead).includes(0)) return null;
+      } finally {
+        await handle.close();
+      }
+    } catch {
+      return null;
+    }
+
+    const clip = (line) => (line.length > 500 ? `${line.slice(0, 500)}…` : line);
+    const stream = createReadStream(filePath, { encoding: 'utf8' });
+    const lines = createInterface({ input: stream, crlfDelay: Infinity });
+    const found = [];
+    const recent = [];
+    let pendingAfter = [];
+    let lineNumber = 0;
+    try {
+      for await (const line of lines) {
+        lineNumber++;
+        // Fill in trailing context for earlier matches
+        pendingAfter = pendingAfter.filter(item => {
+          item.after.push(clip(line));
+          return item.after.length < after;
+        });
+
+        const result = matcher.exec(line);
+        if (result) {
+          if (found.length >= limit) break;
+          const item = {
+            line: lineNumber,
+            column: result.index + 1,
+            match: clip(result[0]),
+            text: clip(line),
+          };
+          if (before > 0) item.before = recent.slice(-before);
+          if (after > 0) {
+            item.after = [];
+            pendingAfter.push(item);
+          }
+          found.push(item);
+        } else if (found.length >= limit && pendingAfter.length === 0) {
+          break;
+        }
+
+        if (before > 0) {
+          recent.push(clip(line));
+          if (recent.length > before) recent.shift();
+        }
+      }
+    } catch {
+      // Unreadable part way through; keep what was found
+    } finally {
+      lines.close();
+      stream.destroy();
+    }
+    return found;
+  }
+
+
+
+  // Shell Command Execution Implementation
+  async executeCommand(args, extra = {}) {
+    const { command, argv, cwd = '.', env = {}, activate_venv: activateVenv = false, python_version: pythonVersion, stdin } = args;
+    const timeout = Math.min(args.timeout === undefined || args.timeout === null ? 30000 : Number(args.timeout), this.config.get('maxTimeoutLimit'));
+    if (!Number.isFinite(timeout) || timeout <= 0) {
+      throw new Error('timeout must be a positive number of milliseconds');
+    }
+    if (Boolean(command) === Boolean(argv)) {
+      throw new Error('Provide exactly one of "command" or "argv"');
+    }
+    if (argv && (!Array.isArray(argv) || argv.length === 0 || argv.some(arg => typeof arg !== 'string'))) {
+      throw new Error('argv must be a non-empty array of strings');
+    }
+    if (typeof env !== 'object' || env === null || Object.values(env).some(value => typeof value !== 'string')) {
+      throw new Error('env must be an object with string values');
+    }
+    this.checkCommandPolicy(argv || command);
+    const resolvedCwd = await this.resolvePath(cwd);
+    const label = command || argv.join(' ');
     
     try {
-      const { stdout } = await execAsync(`"${pipPath}" list`, {
-        cwd: this.workDir,
+      const processEnv = { ...process.env, ...env };
+      if (activateVenv || pythonVersion) {
+        const environment = await this.environmentForVersion(pythonVersion);
+        await this.ensureVirtualEnvironment(environment);
+        Object.assign(processEnv, this.getVenvEnvironment(processEnv, environment));
+      }
+
+      let runnable;
+      if (argv) {
+        await this.sandboxReady;
+        runnable = this.sandbox.wrap(argv, { cwd: resolvedCwd });
+      } else {
+        runnable = await this.buildShellCommand(command, resolvedCwd);
+      }
+
+      const streamer = this.createOutputStreamer(extra, 'os_execute_command');
+      const startedAt = Date.now();
+      const { stdout, stderr, exitCode, signal, timedOut, cancelled, truncatedStreams } = await this.runProcess(runnable, {
+        signal: extra.signal,
+        cwd: resolvedCwd,
+        timeout,
+        maxOutputSize: this.config.get('maxOutputSize'),
+        env: processEnv,
+        onOutput: streamer.push,
+        stdin,
       });
+      await streamer.flush();
+
+      if (cancelled) {
+        throw new OperationCancelledError(this.formatPartialOutput(`Command '${label}' cancelled by client`, stdout, stderr));
+      }
 
+      const success = !timedOut && exitCode === 0;
+      let result = timedOut
+        ? `Command timed out after ${timeout}ms`
+        : `Exit code: ${exitCode === null ? `none (killed by ${signal})` : exitCode}`;
+      if (stdout) result += `\n\nOutput:\n${stdout}`;
+      if (stderr) result += `\n\nStderr:\n${stderr}`;
+      if (!stdout && !stderr) result += '\n\n(no output)';
+
+      // A failing command is still a result: report it rather than throw
       return {
         content: [
           {
             type: 'text',
-            text: `Installed packages:\n${stdout}`,
+            text: result,
           },
         ],
+        structuredContent: {
+          success,
+          exit_code: exitCode,
+          signal: signal || null,
+          timed_out: timedOut,
+          stdout,
+          stderr,
+          stdout_truncated: truncatedStreams.stdout,
+          stderr_truncated: truncatedStreams.stderr,
+          wall_time_ms: Date.now() - startedAt,
+        },
+        ...(!success && { isError: true }),
       };
     } catch (error) {
-      throw new Error(`Failed to list packages: ${error.message}`);
+      if (error instanceof OperationCancelledError) throw error;
+      throw new Error(`Failed to execute command '${label}': ${error.message}`);
     }
   }
 
-  async resetEnvironment() {
-    try {
-      const venvDir = this.venvDir;
-      
-      if (existsSync(venvDir)) {
-        await fs.rm(venvDir, { recursive: true, force: true });
-        this.logger.debug(`Removed virtual environment: ${venvDir}`);
+  // Environment of an activated venv, like sourcing bin/activate
+  getVenvEnvironment(baseEnv = process.env, session = null) {
+    const venvDir = this.getVenvDir(session);
+    const binDir = process.platform === 'win32' ? join(venvDir, 'Scripts') : join(venvDir, 'bin');
+    const pathKey = Object.keys(baseEnv).find(key => key.toUpperCase() === 'PATH') || 'PATH';
+    const env = {
+      VIRTUAL_ENV: venvDir,
+      [pathKey]: [binDir, baseEnv[pathKey]].filter(Boolean).join(delimiter),
+    };
+    if (baseEnv.PYTHONHOME !== undefined) env.PYTHONHOME = '';
+    return env;
+  }
+
+  // Enforce the operator's command allowlist/denylist. Shell strings are
+  // split on operators and each command checked; constructs that hide the
+  // command being run are refused while an allowlist is active.
+  checkCommandPolicy(command) {
+    const allowlist = this.config.get('commandAllowlist');
+    const denylist = this.config.get('commandDenylist');
+    if (allowlist.length === 0 && denylist.length === 0) return;
+
+    let programs;
+    if (Array.isArray(command)) {
+      programs = [command[0]];
+    } else {
+      // Quoting, escapes and wrappers (r"m", \rm, command rm) hide the real
+      // program name from a string check, so denied names need argv
+      if (denylist.length > 0) {
+        throw new Error('Command not allowed: shell command strings cannot be checked reliably against the command denylist; pass argv instead');
       }
-      
+      if (allowlist.length > 0 && /\$\(|`|<\(|>\(/.test(command)) {
+        throw new Error('Command not allowed: command substitution cannot be checked against the allowlist; use argv instead');
+      }
+      programs = command
+        .split(/&&|\|\||[;|&\n(){}`]/)
+        .map(segment => segment.trim().split(/\s+/).find(word => word && !/^\w+=/.test(word)))
+        .filter(Boolean)
+        .map(word => word.replace(/^['"]|['"]$/g, ''));
+    }
+
+    for (const program of programs) {
+      const name = basename(program);
+      if (denylist.includes(name) || denylist.includes(program)) {
+        throw new Error(`Command not allowed: '${name}' is on the server's command denylist`);
+      }
+      if (allowlist.length > 0 && !allowlist.includes(name) && !allowlist.includes(program)) {
+        throw new Error(`Command not allowed: '${name}' is not on the server's command allowlist (${allowlist.join(', ')})`);
+      }
+    }
+  }
+
+
+
+  // Interactive Shells Implementation
+  getShell(sessionId) {
+    const shell = this.shells.get(sessionId);
+    if (!shell) {
+      throw new Error(`Shell not found: ${sessionId}. It may have been closed or expired after being idle.`);
+    }
+    return shell;
+  }
+
+  scheduleShellReap(shell) {
+    clearTimeout(shell.idleTimer);
+    const idleTimeout = this.config.get('shellIdleTimeout');
+    shell.idleTimer = setTimeout(() => {
+      this.logger.info(`Closing shell ${shell.id} after ${idleTimeout}ms of inactivity`);
+      this.destroyShell(shell.id);
+    }, idleTimeout);
+    shell.idleTimer.unref();
+  }
+
+  destroyShell(sessionId) {
+    const shell = this.shells.get(sessionId);
+    if (!shell) return false;
+
+    clearTimeout(shell.idleTimer);
+    shell.close();
+    this.shells.delete(sessionId);
+    this.logger.debug(`Shell ${sessionId} destroyed`);
+    return true;
+  }
+
+  // Startup files are skipped so they cannot move the venv off the front of
+  // PATH or make the first prompt depend on the host's configuration
+  defaultShell() {
+    if (process.platform === 'win32') {
+      return [process.env.COMSPEC || 'cmd.exe'];
+    }
+    return existsSync('/bin/bash') ? ['/bin/bash', '--norc', '--noprofile'] : ['/bin/sh'];
+  }
+
+  async openShell(args = {}) {
+    const { cwd = '.', env = {}, cols = 120, rows = 40 } = args;
+    const maxShells = this.config.get('maxShells');
+
+    if (this.shells.size >= maxShells) {
+      throw new Error(`Maximum number of concurrent shells reached (${maxShells}). Close an existing shell with shell_close first.`);
+    }
+    if (typeof env !== 'object' || env === null || Object.values(env).some(value => typeof value !== 'string')) {
+      throw new Error('env must be an object with string values');
+    }
+    // Whatever is typed into a shell escapes the per-command check
+    if (this.config.get('commandAllowlist').length > 0 || this.config.get('commandDenylist').length > 0) {
+      throw new Error('Interactive shells are disabled while a command allowlist or denylist is configured; use os_execute_command instead');
+    }
+    const shellArgv = args.shell ? [args.shell] : this.defaultShell();
+    const shellPath = shellArgv[0];
+    const resolvedCwd = await this.resolvePath(cwd);
+
+    let pty;
+    try {
+      pty = await import('node-pty');
+    } catch (error) {
+      throw new Error(`Interactive shells require the node-pty package, which could not be loaded: ${error.message}`);
+    }
+
+    const id = uuidv4();
+    const shell = new ShellSession(id, this.logger, { maxBufferSize: this.config.get('maxOutputSize') });
+
+    try {
       await this.ensureVirtualEnvironment();
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: 'Virtual environment reset successfully',
-          },
-        ],
-      };
+      const processEnv = { ...process.env, ...this.getVenvEnvironment(process.env), TERM: 'xterm-256color', ...env };
+      await this.sandboxReady;
+      shell.start(pty, this.sandbox.wrap(shellArgv, { cwd: resolvedCwd, terminal: true }), {
+        cwd: resolvedCwd,
+        env: processEnv,
+        cols: Math.max(20, Math.floor(cols)),
+        rows: Math.max(5, Math.floor(rows)),
+      });
     } catch (error) {
-      throw new Error(`Failed to reset environment: ${error.message}`);
+      throw new Error(`Failed to open shell: ${error.message}`);
+    }
+
+    this.shells.set(id, shell);
+    this.scheduleShellReap(shell);
+    this.logger.info(`Opened shell ${id} (${shellPath}) in ${resolvedCwd}`);
+
+    // Let startup files run and the prompt arrive so the first read is not empty
+    await shell.waitForOutput(5000);
+    const { output } = shell.read();
+
+    let text = `Shell opened: ${id}\nShell: ${shellPath}\nDirectory: ${resolvedCwd}\nIdle shells are closed after ${Math.round(this.config.get('shellIdleTimeout') / 1000)}s.`;
+    if (output) text += `\n\nOutput:\n${stripAnsi(output)}`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text,
+        },
+      ],
+    };
+  }
+
+  async sendToShell(args) {
+    const { session_id, input = '', newline = true, keys = [], wait_ms: waitMs = 1000, strip_ansi: strip = true } = args;
+    const shell = this.getShell(session_id);
+
+    const unknownKeys = keys.filter(key => !SHELL_KEYS[key]);
+    if (unknownKeys.length > 0) {
+      throw new Error(`Unknown key(s): ${unknownKeys.join(', ')}. Available keys: ${Object.keys(SHELL_KEYS).join(', ')}`);
+    }
+    if (!input && keys.length === 0 && !newline) {
+      throw new Error('Nothing to send: provide input, keys or newline');
+    }
+
+    // Enter on its own when there is nothing else to send
+    const data = input + (newline && (input || keys.length === 0) ? '\r' : '') + keys.map(key => SHELL_KEYS[key]).join('');
+    try {
+      shell.write(data);
+    } catch (error) {
+      this.destroyShell(session_id);
+      throw error;
+    }
+    this.scheduleShellReap(shell);
+
+    // The terminal echoes the input back, and only output beyond it counts as
+    // a response (newline becomes CRLF, control keys echo as two characters)
+    await shell.waitForOutput(Math.min(Math.max(0, waitMs), this.config.get('maxTimeoutLimit')), {
+      minChars: input.length + (data.length - input.length) * 2 + 1,
+    });
+    return this.formatShellOutput(shell, strip);
+  }
+
+  async readShell(args) {
+    const { session_id, wait_ms: waitMs = 0, strip_ansi: strip = true } = args;
+    const shell = this.getShell(session_id);
+
+    if (!shell.buffer) {
+      await shell.waitForOutput(Math.min(Math.max(0, waitMs), this.config.get('maxTimeoutLimit')));
     }
+    this.scheduleShellReap(shell);
+    return this.formatShellOutput(shell, strip);
   }
 
-  // File and Directory Operations Implementation
-  async createFile(args) {
-    const { path, content = '', encoding = 'utf8' } = args;
-    
+  formatShellOutput(shell, strip) {
+    const { output, dropped } = shell.read();
+    let text = strip ? stripAnsi(output) : output;
+    if (!text) text = '(no new output)';
+    if (dropped > 0) {
+      text = `[${dropped} earlier characters were discarded because the output was not read]\n${text}`;
+    }
+
+    // An exited shell has nothing left to read, so it is released here
+    if (shell.closed) {
+      text += `\n\n[Shell exited${shell.exitSignal ? ` with signal ${shell.exitSignal}` : ` with code ${shell.exitCode}`}; session closed]`;
+      this.destroyShell(shell.id);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text,
+        },
+      ],
+    };
+  }
+
+  async closeShell(args) {
+    const { session_id } = args;
+
+    if (!this.destroyShell(session_id)) {
+      throw new Error(`Shell not found: ${session_id}`);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Shell closed: ${session_id}`,
+        },
+      ],
+    };
+  }
+
+  // Background Jobs Implementation
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+    return job;
+  }
+
+  saveJob(job) {
+    const { process: child, usageTimer, exitPromise, ...record } = job;
     try {
-      // Handle relative paths relative to workspace directory
-      const resolvedPath = path.startsWith('/') ? path : join(this.workDir, path);
-      
-      // Ensure target directory exists
-      const targetDir = dirname(resolvedPath);
-      if (!existsSync(targetDir)) {
-        mkdirSync(targetDir, { recursive: true });
-      }
-      
-      await fs.writeFile(resolvedPath, content, encoding);
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `File created successfully at ${resolvedPath}`,
-          },
-        ],
-      };
+      writeFileSync(join(job.dir, 'job.json'), JSON.stringify(record, null, 2), 'utf8');
+    } catch (error) {
+      this.logger.warn(`Failed to save job ${job.id}: ${error.message}`);
+    }
+  }
+
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
     } catch (error) {
-      throw new Error(`Failed to create file ${path}: ${error.message}`);
+      return error.code === 'EPERM';
     }
   }
 
-  async readFile(args) {
-    const { path, encoding = 'utf8' } = args;
-    
+  // Jobs left running by a previous server instance (MCP_JOBS_ON_SHUTDOWN=persist)
+  // are picked up again; their exit code comes from the exit_code file the
+  // job wrapper writes when the command finishes.
+  loadPersistedJobs() {
+    if (!existsSync(this.jobsDir)) return;
+
     try {
-      const resolvedPath = path.startsWith('/') ? path : join(this.workDir, path);
-      const content = await fs.readFile(resolvedPath, encoding);
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: content,
-          },
-        ],
-      };
+      for (const entry of readdirSync(this.jobsDir)) {
+        const metadataPath = join(this.jobsDir, entry, 'job.json');
+        if (!existsSync(metadataPath)) continue;
+
+        try {
+          const job = JSON.parse(readFileSync(metadataPath, 'utf8'));
+          if (job.status === 'running') {
+            job.recovered = true;
+            this.refreshRecoveredJob(job);
+          }
+          this.jobs.set(job.id, job);
+        } catch (error) {
+          this.logger.warn(`Skipping unreadable job metadata ${metadataPath}: ${error.message}`);
+        }
+      }
+      this.logger.debug(`Loaded ${this.jobs.size} jobs from ${this.jobsDir}`);
     } catch (error) {
-      throw new Error(`Failed to read file ${path}: ${error.message}`);
+      this.logger.warn(`Failed to load persisted jobs: ${error.message}`);
     }
   }
 
-  async moveFile(args) {
-    const { source, destination } = args;
-    
+  refreshRecoveredJob(job) {
+    if (!job.recovered || job.status !== 'running') return;
+
+    const exitCodePath = join(job.dir, 'exit_code');
+    if (existsSync(exitCodePath)) {
+      job.exitCode = parseInt(readFileSync(exitCodePath, 'utf8').trim());
+      job.status = job.exitCode === 0 ? 'completed' : 'failed';
+      job.endedAt = job.endedAt || new Date().toISOString();
+      this.saveJob(job);
+    } else if (!this.isProcessAlive(job.pid)) {
+      job.status = 'lost';
+      job.endedAt = job.endedAt || new Date().toISOString();
+      this.saveJob(job);
+    }
+  }
+
+  // Sample CPU time and RSS of every process in the job's process group
+  // (Linux only, via /proc)
+  async sampleJobUsage(job) {
+    if (process.platform !== 'linux' || job.status !== 'running') return;
+
     try {
-      const resolvedSource = source.startsWith('/') ? source : join(this.workDir, source);
-      const resolvedDestination = destination.startsWith('/') ? destination : join(this.workDir, destination);
-      
-      if (!existsSync(resolvedSource)) {
-        throw new Error(`Source file does not exist: ${resolvedSource}`);
-      }
-      
-      // Ensure destination directory exists
-      const destDir = dirname(resolvedDestination);
-      if (!existsSync(destDir)) {
-        mkdirSync(destDir, { recursive: true });
+      let cpuTicks = 0;
+      let rssPages = 0;
+      for (const entry of await fs.readdir('/proc')) {
+        if (!/^\d+$/.test(entry)) continue;
+        try {
+          const stat = await fs.readFile(`/proc/${entry}/stat`, 'utf8');
+          const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+          if (parseInt(fields[2]) !== job.pid) continue; // process group
+          cpuTicks += parseInt(fields[11]) + parseInt(fields[12]);
+          rssPages += parseInt(fields[21]);
+        } catch {
+          // Process exited while scanning
+        }
       }
-      
-      await fs.rename(resolvedSource, resolvedDestination);
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `File moved from ${resolvedSource} to ${resolvedDestination}`,
-          },
-        ],
-      };
+
+      const usage = job.resourceUsage || { cpuSeconds: 0, rssKB: 0, peakRssKB: 0 };
+      // Assumes the usual 100 Hz clock and 4 KiB pages
+      usage.cpuSeconds = Math.max(usage.cpuSeconds, cpuTicks / 100);
+      usage.rssKB = rssPages * 4;
+      usage.peakRssKB = Math.max(usage.peakRssKB, usage.rssKB);
+      job.resourceUsage = usage;
     } catch (error) {
-      throw new Error(`Failed to move file from ${source} to ${destination}: ${error.message}`);
+      this.logger.debug(`Failed to sample usage for job ${job.id}: ${error.message}`);
     }
   }
 
-  async deleteFile(args) {
-    const { path } = args;
-    
-    try {
-      const resolvedPath = path.startsWith('/') ? path : join(this.workDir, path);
-      
-      if (!existsSync(resolvedPath)) {
-        throw new Error(`File does not exist: ${resolvedPath}`);
+  async startJob(args) {
+    const { code, cwd = '.', requirements = [], python_version: pythonVersion } = args;
+    const { argv } = args;
+
+    if ([code, args.command, argv].filter(Boolean).length !== 1) {
+      throw new Error('Provide exactly one of "code", "command" or "argv"');
+    }
+    if (argv && (!Array.isArray(argv) || argv.length === 0 || argv.some(arg => typeof arg !== 'string'))) {
+      throw new Error('argv must be a non-empty array of strings');
+    }
+    const command = argv ? argv.map(shellQuote).join(' ') : args.command;
+    if (command) {
+      this.checkCommandPolicy(argv || command);
+    }
+
+    const maxJobs = this.config.get('maxJobs');
+    const running = [...this.jobs.values()].filter(job => job.status === 'running').length;
+    if (running >= maxJobs) {
+      throw new Error(`Maximum number of running jobs reached (${maxJobs}). Cancel or wait for a job to finish first.`);
+    }
+
+    const resolvedCwd = await this.resolvePath(cwd);
+    const id = uuidv4();
+    const dir = join(this.jobsDir, id);
+    await fs.mkdir(dir, { recursive: true });
+
+    let execCommand;
+    if (code) {
+      this.validatePythonCode(code);
+      const environment = await this.environmentForVersion(pythonVersion);
+      await this.ensureVirtualEnvironment(environment);
+      if (requirements.length > 0) {
+        await this.installPackages({ packages: requirements }, environment);
       }
-      
-      await fs.unlink(resolvedPath);
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `File deleted successfully: ${resolvedPath}`,
-          },
-        ],
+      const scriptPath = join(dir, 'script.py');
+      await fs.writeFile(scriptPath, this.injectImageCapture(code, join(dir, 'images')), 'utf8');
+      execCommand = await this.buildPythonCommand(await this.getPythonPath(environment), scriptPath, resolvedCwd);
+    } else {
+      execCommand = await this.buildShellCommand(command, resolvedCwd);
+    }
+
+    const stdoutPath = join(dir, 'stdout.log');
+    const stderrPath = join(dir, 'stderr.log');
+    const stdoutHandle = await fs.open(stdoutPath, 'a');
+    const stderrHandle = await fs.open(stderrPath, 'a');
+
+    let child;
+    try {
+      const spawnOptions = {
+        cwd: resolvedCwd,
+        env: { ...process.env, PYTHONUNBUFFERED: '1' },
+        stdio: ['ignore', stdoutHandle.fd, stderrHandle.fd],
+        windowsHide: true,
+        detached: process.platform !== 'win32',
       };
-    } catch (error) {
-      throw new Error(`Failed to delete file ${path}: ${error.message}`);
+      // On POSIX the wrapper records the exit code so a job that outlives the
+      // server can still be reported after a restart
+      child = process.platform === 'win32'
+        ? spawn(execCommand, { ...spawnOptions, shell: true })
+        : spawn('/bin/sh', ['-c', '/bin/sh -c "$1"; code=$?; echo $code > "$2"; exit $code', 'job', execCommand, join(dir, 'exit_code')], spawnOptions);
+    } finally {
+      await stdoutHandle.close();
+      await stderrHandle.close();
+    }
+
+    const job = {
+      id,
+      type: code ? 'python' : 'command',
+      command: command || null,
+      cwd: resolvedCwd,
+      dir,
+      pid: child.pid,
+      status: 'running',
+      exitCode: null,
+      signal: null,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      resourceUsage: null,
+      stdoutPath,
+      stderrPath,
+      process: child,
+    };
+
+    job.exitPromise = new Promise(resolveExit => {
+      child.on('exit', (exitCode, signal) => {
+        clearInterval(job.usageTimer);
+        job.exitCode = exitCode;
+        job.signal = signal;
+        job.endedAt = new Date().toISOString();
+        if (job.status === 'running') {
+          job.status = exitCode === 0 ? 'completed' : 'failed';
+        }
+        delete job.process;
+        this.saveJob(job);
+        this.logger.info(`Job ${id} ${job.status} (exit code: ${exitCode}, signal: ${signal})`);
+        resolveExit();
+      });
+    });
+
+    child.on('error', (error) => {
+      this.logger.error(`Job ${id} failed to start`, error);
+      job.status = 'failed';
+      job.endedAt = new Date().toISOString();
+      this.saveJob(job);
+    });
+
+    job.usageTimer = setInterval(() => this.sampleJobUsage(job), 2000);
+    job.usageTimer.unref();
+
+    this.jobs.set(id, job);
+    this.saveJob(job);
+    this.logger.info(`Started job ${id} (pid ${child.pid})`);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Job started: ${id}\nType: ${job.type}\nLogs: ${dir}\nUse job_status, job_output and job_cancel with this ID.`,
+        },
+      ],
+    };
+  }
+
+  formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const sec = seconds % 60;
+    return h > 0 ? `${h}h ${m}m ${sec}s` : m > 0 ? `${m}m ${sec}s` : `${(ms / 1000).toFixed(1)}s`;
+  }
+
+  describeJob(job) {
+    const end = job.endedAt ? new Date(job.endedAt) : new Date();
+    const runtime = this.formatDuration(end - new Date(job.startedAt));
+    let text = `Job ${job.id}\n`;
+    text += `Type: ${job.type}${job.command ? ` (${job.command})` : ''}\n`;
+    text += `Status: ${job.status}${job.recovered ? ' (recovered after server restart)' : ''}\n`;
+    text += `PID: ${job.pid}\n`;
+    text += `Started: ${job.startedAt}\n`;
+    if (job.endedAt) text += `Ended: ${job.endedAt}\n`;
+    text += `Runtime: ${runtime}\n`;
+    if (job.exitCode !== null && job.exitCode !== undefined) text += `Exit code: ${job.exitCode}\n`;
+    if (job.signal) text += `Signal: ${job.signal}\n`;
+    if (job.resourceUsage) {
+      text += `CPU time: ${job.resourceUsage.cpuSeconds.toFixed(2)}s\n`;
+      text += `Memory: ${this.formatFileSize(job.resourceUsage.rssKB * 1024)} (peak ${this.formatFileSize(job.resourceUsage.peakRssKB * 1024)})\n`;
     }
+    return text;
   }
 
-  async createDirectory(args) {
-    const { path, recursive = true } = args;
-    
+  async jobStatus(args) {
+    const job = this.getJob(args.job_id);
+    this.refreshRecoveredJob(job);
+    await this.sampleJobUsage(job);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.describeJob(job),
+        },
+      ],
+    };
+  }
+
+  async jobOutput(args) {
+    const { job_id, stream = 'stdout', offset = 0, length = 65536, tail_lines } = args;
+    const job = this.getJob(job_id);
+    const logPath = stream === 'stderr' ? job.stderrPath : job.stdoutPath;
+
+    if (!existsSync(logPath)) {
+      throw new Error(`No ${stream} log for job ${job_id}`);
+    }
+
+    const { size } = await fs.stat(logPath);
+    const handle = await fs.open(logPath, 'r');
     try {
-      const resolvedPath = path.startsWith('/') ? path : join(this.workDir, path);
-      
-      if (existsSync(resolvedPath)) {
+      if (tail_lines !== undefined) {
+        // Read backwards in blocks until enough lines are found
+        const blockSize = 65536;
+        let position = size;
+        let text = '';
+        while (position > 0 && text.split('\n').length <= tail_lines + 1) {
+          const readSize = Math.min(blockSize, position);
+          position -= readSize;
+          const buffer = Buffer.alloc(readSize);
+          await handle.read(buffer, 0, readSize, position);
+          text = buffer.toString('utf8') + text;
+        }
+        const lines = text.replace(/\n$/, '').split('\n');
+        const tail = lines.slice(-tail_lines).join('\n');
+
         return {
           content: [
             {
               type: 'text',
-              text: `Directory already exists: ${resolvedPath}`,
+              text: `[${stream} of job ${job_id}: last ${Math.min(tail_lines, lines.length)} lines, ${size} bytes total, status: ${job.status}]\n${tail}`,
             },
           ],
         };
       }
-      
-      mkdirSync(resolvedPath, { recursive });
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Directory created successfully: ${resolvedPath}`,
-          },
-        ],
-      };
-    } catch (error) {
-      throw new Error(`Failed to create directory ${path}: ${error.message}`);
-    }
-  }
 
-  async listDirectory(args) {
-    const { path = '.', show_hidden = false } = args;
-    
-    try {
-      const resolvedPath = path === '.' ? this.workDir : (path.startsWith('/') ? path : join(this.workDir, path));
-      const entries = await fs.readdir(resolvedPath, { withFileTypes: true });
-      
-      let result = `Contents of ${resolvedPath}:\n\n`;
-      
-      for (const entry of entries) {
-        if (!show_hidden && entry.name.startsWith('.')) {
-          continue;
-        }
-        
-        const type = entry.isDirectory() ? 'DIR' : 'FILE';
-        const stats = await fs.stat(join(resolvedPath, entry.name));
-        const size = entry.isFile() ? ` (${this.formatFileSize(stats.size)})` : '';
-        const modified = stats.mtime.toISOString().split('T')[0];
-        
-        result += `${type.padEnd(4)} ${entry.name}${size} - ${modified}\n`;
+      const start = Math.min(Math.max(0, offset), size);
+      const readSize = Math.min(length, size - start);
+      const buffer = Buffer.alloc(readSize);
+      if (readSize > 0) {
+        await handle.read(buffer, 0, readSize, start);
       }
-      
+
       return {
         content: [
           {
             type: 'text',
-            text: result,
+            text: `[${stream} of job ${job_id}: bytes ${start}-${start + readSize} of ${size}, next_offset: ${start + readSize}, status: ${job.status}]\n${buffer.toString('utf8')}`,
           },
         ],
       };
-    } catch (error) {
-      throw new Error(`Failed to list directory ${path}: ${error.message}`);
+    } finally {
+      await handle.close();
     }
   }
 
-  formatFileSize(bytes) {
-    if (bytes === 0) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-  }
+  async cancelJob(args) {
+    const job = this.getJob(args.job_id);
+    this.refreshRecoveredJob(job);
 
-  // New advanced file operations
-  async copyFile(args) {
-    const { source, destination } = args;
-    
-    try {
-      const resolvedSource = source.startsWith('/') ? source : join(this.workDir, source);
-      const resolvedDestination = destination.startsWith('/') ? destination : join(this.workDir, destination);
-      
-      if (!existsSync(resolvedSource)) {
-        throw new Error(`Source does not exist: ${resolvedSource}`);
-      }
-      
-      // Ensure destination directory exists
-      const destDir = dirname(resolvedDestination);
-      if (!existsSync(destDir)) {
-        mkdirSync(destDir, { recursive: true });
-      }
-      
-      // Check if source is a directory
-      const stats = await fs.stat(resolvedSource);
-      if (stats.isDirectory()) {
-        await fs.cp(resolvedSource, resolvedDestination, { recursive: true });
-      } else {
-        await fs.copyFile(resolvedSource, resolvedDestination);
-      }
-      
+    if (job.status !== 'running') {
       return {
         content: [
           {
             type: 'text',
-            text: `${stats.isDirectory() ? 'Directory' : 'File'} copied from ${resolvedSource} to ${resolvedDestination}`,
+            text: `Job ${job.id} is not running (status: ${job.status})`,
           },
         ],
       };
-    } catch (error) {
-      throw new Error(`Failed to copy from ${source} to ${destination}: ${error.message}`);
     }
-  }
 
-  async searchFiles(args) {
-    const { pattern, path = '.', search_content = false } = args;
-    
-    try {
-      const resolvedPath = path === '.' ? this.workDir : (path.startsWith('/') ? path : join(this.workDir, path));
-      
-      if (!existsSync(resolvedPath)) {
-        throw new Error(`Search path does not exist: ${resolvedPath}`);
-      }
-      
-      let results = [];
-      
-      if (search_content) {
-        // Search file contents
-        const files = await glob(join(resolvedPath, '**/*').replace(/\\/g, '/'), {
-          nodir: true,
-          ignore: ['**/node_modules/**', '**/.git/**', '**/venv/**', '**/__pycache__/**']
-        });
-        
-        for (const file of files) {
-          try {
-            const content = await fs.readFile(file, 'utf8');
-            if (content.includes(pattern)) {
-              const lines = content.split('\n');
-              const matches = [];
-              lines.forEach((line, index) => {
-                if (line.includes(pattern)) {
-                  matches.push(`Line ${index + 1}: ${line.trim()}`);
-                }
-              });
-              results.push(`${file}:\n${matches.slice(0, 5).join('\n')}${matches.length > 5 ? '\n...' : ''}`);
-            }
-          } catch (error) {
-            // Skip files that can't be read as text
-            continue;
-          }
-        }
-      } else {
-        // Search file names
-        const searchPattern = pattern.includes('*') ? pattern : `*${pattern}*`;
-        results = await glob(join(resolvedPath, '**', searchPattern).replace(/\\/g, '/'), {
-          ignore: ['**/node_modules/**', '**/.git/**', '**/venv/**', '**/__pycache__/**']
-        });
+    const grace = this.config.get('jobKillGracePeriod');
+    // Jobs run in their own process group, so signal and watch the whole group:
+    // children ignoring SIGTERM must not outlive the wrapper shell
+    const target = process.platform === 'win32' ? job.pid : -job.pid;
+    const signalGroup = (signal) => {
+      try {
+        process.kill(target, signal);
+      } catch {
+        // Already exited
       }
-      
-      const resultText = results.length > 0 
-        ? `Found ${results.length} ${search_content ? 'files with content matches' : 'matching files'}:\n\n${results.slice(0, 20).join('\n')}${results.length > 20 ? '\n\n... and more' : ''}`
-        : `No ${search_content ? 'content matches' : 'matching files'} found for pattern: ${pattern}`;
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: resultText,
-          },
-        ],
-      };
-    } catch (error) {
-      throw new Error(`Search failed: ${error.message}`);
+    };
+
+    job.status = 'cancelled';
+    this.saveJob(job);
+    signalGroup('SIGTERM');
+
+    const deadline = Date.now() + grace;
+    while (this.isProcessAlive(target) && Date.now() < deadline) {
+      await new Promise(r => setTimeout(r, 100));
+    }
+    if (this.isProcessAlive(target)) {
+      this.logger.warn(`Job ${job.id} did not exit within ${grace}ms of SIGTERM, sending SIGKILL`);
+      signalGroup('SIGKILL');
     }
-  }
 
+    if (job.exitPromise) {
+      await Promise.race([job.exitPromise, new Promise(r => setTimeout(r, 1000))]);
+    } else {
+      // Recovered job without an exit event
+      job.endedAt = new Date().toISOString();
+      this.saveJob(job);
+    }
 
-  // Shell Command Execution Implementation
-  async executeCommand(args) {
-    const { command, cwd = '.', timeout = 30000 } = args;
-    
-    try {
-      const resolvedCwd = cwd === '.' ? this.workDir : (cwd.startsWith('/') ? cwd : join(this.workDir, cwd));
-      const { stdout, stderr } = await execAsync(command, {
-        cwd: resolvedCwd,
-        timeout,
-      });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Job cancelled.\n\n${this.describeJob(job)}`,
+        },
+      ],
+    };
+  }
 
-      let result = '';
-      if (stdout) result += `Output:\n${stdout}`;
-      if (stderr) result += `${result ? '\n' : ''}Error/Warning:\n${stderr}`;
+  async listJobs() {
+    for (const job of this.jobs.values()) {
+      this.refreshRecoveredJob(job);
+    }
 
+    const jobs = [...this.jobs.values()].sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+    if (jobs.length === 0) {
       return {
         content: [
           {
             type: 'text',
-            text: result || 'Command executed successfully with no output',
+            text: 'No background jobs',
           },
         ],
       };
-    } catch (error) {
-      throw new Error(`Failed to execute command '${command}': ${error.message}`);
     }
+
+    const lines = jobs.map(job => {
+      const label = job.type === 'command' ? job.command : 'python code';
+      return `${job.id}  ${job.status.padEnd(9)}  ${job.startedAt}  ${label.length > 60 ? label.slice(0, 57) + '...' : label}`;
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Background jobs (${jobs.length}):\n\n${lines.join('\n')}`,
+        },
+      ],
+    };
   }
 
+  // Called on shutdown: either stop running jobs or leave them running
+  // detached, with their metadata saved so the next server can report them
+  shutdownJobs() {
+    const persist = this.config.get('jobsOnShutdown') === 'persist';
+
+    for (const job of this.jobs.values()) {
+      if (job.status !== 'running') continue;
+      clearInterval(job.usageTimer);
+
+      if (persist) {
+        this.logger.info(`Leaving job ${job.id} running (pid ${job.pid})`);
+      } else {
+        try {
+          process.kill(process.platform === 'win32' ? job.pid : -job.pid, 'SIGTERM');
+        } catch {
+          // Already exited
+        }
+        job.status = 'cancelled';
+        job.endedAt = new Date().toISOString();
+        this.logger.info(`Terminated job ${job.id} on shutdown`);
+      }
+      this.saveJob(job);
+    }
+  }
 
   async run() {
     const transport = new StdioServerTransport();
@@ -1400,6 +7670,13 @@ except:
     // Handle graceful shutdown
     const shutdown = async (signal) => {
       this.logger.info(`Received ${signal}, shutting down gracefully...`);
+      for (const sessionId of [...this.sessions.keys()]) {
+        this.destroySession(sessionId);
+      }
+      for (const shellId of [...this.shells.keys()]) {
+        this.destroyShell(shellId);
+      }
+      this.shutdownJobs();
       process.exit(0);
     };
     
@@ -1409,5 +7686,13 @@ except:
   }
 }
 
-const server = new MCPServer();
-server.run().catch(console.error);
\ No newline at end of file
+// Start the server only when run directly, so tests can import the module
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const server = new MCPServer();
+  server.run().catch(console.error);
+}
+
+export {
+  buildSeccompFilter, SECCOMP_DENIED_SYSCALLS, AUDIT_ARCH,
+  parseRequirement, readRequirementsFile, planLockInstall, Config, Sandbox, MCPServer,
+};
\ No newline at end of file
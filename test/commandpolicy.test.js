@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MCPServer } from '../src/index.js';
+
+// Only the command policy is exercised, so skip the constructor's workspace setup
+function policyServer({ commandAllowlist = [], commandDenylist = [] } = {}) {
+  const server = Object.create(MCPServer.prototype);
+  server.config = { get: key => ({ commandAllowlist, commandDenylist })[key] };
+  return server;
+}
+
+test('checkCommandPolicy: everything runs without a policy', () => {
+  const server = policyServer();
+  assert.doesNotThrow(() => server.checkCommandPolicy('rm -rf build && $(curl x)'));
+  assert.doesNotThrow(() => server.checkCommandPolicy(['rm', '-rf', 'build']));
+});
+
+test('checkCommandPolicy: argv is matched by program name or full path', () => {
+  const server = policyServer({ commandAllowlist: ['ls', '/opt/tools/run'] });
+  assert.doesNotThrow(() => server.checkCommandPolicy(['ls', '-la']));
+  assert.doesNotThrow(() => server.checkCommandPolicy(['/usr/bin/ls']));
+  assert.doesNotThrow(() => server.checkCommandPolicy(['/opt/tools/run']));
+  // Arguments are never mistaken for the program
+  assert.throws(() => server.checkCommandPolicy(['rm', 'ls']), /'rm' is not on the server's command allowlist \(ls, \/opt\/tools\/run\)/);
+  assert.throws(() => server.checkCommandPolicy(['/usr/local/bin/run']), /'run' is not on the server's command allowlist/);
+});
+
+test('checkCommandPolicy: every program in a shell string must be allowed', () => {
+  const server = policyServer({ commandAllowlist: ['ls', 'grep', 'echo'] });
+  assert.doesNotThrow(() => server.checkCommandPolicy('ls -la | grep src && echo done'));
+  assert.doesNotThrow(() => server.checkCommandPolicy('LC_ALL=C ls "my dir"'));
+  assert.doesNotThrow(() => server.checkCommandPolicy('"ls" src'));
+  for (const command of ['ls; rm -rf x', 'ls || rm x', 'ls & rm x', 'ls\nrm x', '(rm x)', '{ rm x; }', 'FOO=1 rm x']) {
+    assert.throws(() => server.checkCommandPolicy(command), /'rm' is not on the server's command allowlist/, JSON.stringify(command));
+  }
+});
+
+test('checkCommandPolicy: command substitution is refused with an allowlist', () => {
+  const server = policyServer({ commandAllowlist: ['echo'] });
+  for (const command of ['echo $(rm x)', 'echo `rm x`', 'echo <(rm x)', 'echo >(rm x)']) {
+    assert.throws(() => server.checkCommandPolicy(command), /command substitution cannot be checked/, command);
+  }
+});
+
+test('checkCommandPolicy: the denylist needs argv', () => {
+  const server = policyServer({ commandDenylist: ['rm', '/usr/bin/curl'] });
+  assert.doesNotThrow(() => server.checkCommandPolicy(['ls', 'rm']));
+  assert.throws(() => server.checkCommandPolicy(['rm', '-rf', '/']), /'rm' is on the server's command denylist/);
+  assert.throws(() => server.checkCommandPolicy(['/bin/rm']), /'rm' is on the server's command denylist/);
+  assert.throws(() => server.checkCommandPolicy(['/usr/bin/curl']), /'curl' is on the server's command denylist/);
+  // Quoting and escapes would hide the program from a string check
+  for (const command of ['ls', 'r"m" -rf /', '\\rm x']) {
+    assert.throws(() => server.checkCommandPolicy(command), /shell command strings cannot be checked reliably/, command);
+  }
+});
+
+test('checkCommandPolicy: the denylist wins over the allowlist', () => {
+  const server = policyServer({ commandAllowlist: ['rm', 'ls'], commandDenylist: ['rm'] });
+  assert.doesNotThrow(() => server.checkCommandPolicy(['ls']));
+  assert.throws(() => server.checkCommandPolicy(['rm', 'x']), /on the server's command denylist/);
+});
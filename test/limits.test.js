@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MCPServer } from '../src/index.js';
+
+const settings = {
+  maxExecutionTime: 30000,
+  maxTimeoutLimit: 600000,
+  maxMemoryMB: 512,
+  maxMemoryLimitMB: 4096,
+  maxOutputSize: 10000000,
+  maxOutputLimit: 50000000,
+  maxCpuSeconds: 600,
+  commandAllowlist: [],
+  commandDenylist: [],
+};
+
+// Only the limit handling is exercised, so skip the constructor's workspace setup
+const server = Object.create(MCPServer.prototype);
+server.config = { get: key => settings[key] };
+
+test('resolveExecutionLimits: defaults, clamping and invalid values', () => {
+  const defaults = server.resolveExecutionLimits({});
+  assert.equal(defaults.limits.timeoutMs, 30000);
+  assert.equal(defaults.limits.maxOutputBytes, 10000000);
+  assert.equal(defaults.limits.cpuSeconds, 0);
+
+  const clamped = server.resolveExecutionLimits({ timeout_ms: 10 ** 9, memory_mb: 10 ** 6, max_output_bytes: 10 ** 12, cpu_seconds: 10 ** 6 });
+  assert.equal(clamped.limits.timeoutMs, 600000);
+  assert.equal(clamped.limits.memoryMB, 4096);
+  assert.equal(clamped.limits.maxOutputBytes, 50000000);
+  assert.equal(clamped.limits.cpuSeconds, 600);
+  assert.ok(clamped.notes.some(note => note.includes('timeout_ms')));
+
+  for (const value of [0, -1, -Infinity, NaN, 'soon']) {
+    const { limits, notes } = server.resolveExecutionLimits({ timeout_ms: value, max_output_bytes: value });
+    assert.equal(limits.timeoutMs, 30000, String(value));
+    assert.equal(limits.maxOutputBytes, 10000000, String(value));
+    assert.ok(notes.some(note => note.startsWith('timeout_ms must be a positive number')), String(value));
+  }
+
+  assert.equal(server.resolveExecutionLimits({ timeout_ms: 1500.7 }).limits.timeoutMs, 1500);
+});
+
+test('executeCommand: refuses timeouts that would disable the time limit', async () => {
+  for (const timeout of [0, -1, -30000, 'never', NaN]) {
+    await assert.rejects(server.executeCommand({ argv: ['true'], timeout }), /timeout must be a positive number/, String(timeout));
+  }
+});
+
+test('runProcess: the output cap counts bytes, not characters', async () => {
+  // 'é' is two bytes in UTF-8; a 7-byte cap keeps three characters, never half of one
+  const result = await server.runProcess([process.execPath, '-e', 'process.stdout.write("é".repeat(20))'], { maxOutputSize: 7, timeout: 10000 });
+  assert.equal(result.stdout, 'ééé');
+  assert.equal(result.truncated, true);
+  assert.equal(result.outputBytes, 40);
+  assert.match(result.stderr, /\[Output truncated at 7 bytes\]/);
+});
+
+test('runProcess: output within the cap is kept whole', async () => {
+  const result = await server.runProcess([process.execPath, '-e', 'process.stdout.write("日本語")'], { maxOutputSize: 9, timeout: 10000 });
+  assert.equal(result.stdout, '日本語');
+  assert.equal(result.truncated, false);
+});
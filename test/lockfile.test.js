@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planLockInstall, MCPServer } from '../src/index.js';
+
+const HASH_A = `sha256:${'a'.repeat(64)}`;
+const HASH_B = `sha256:${'b'.repeat(64)}`;
+
+function reportItem(name, version, downloadInfo, isDirect = false) {
+  return { metadata: { name, version }, download_info: downloadInfo, is_direct: isDirect };
+}
+
+const formatLockFile = (report) => MCPServer.prototype.formatLockFile.call(null, report, { label: 'requirements.txt', pythonVersion: '3.11.7' });
+
+test('formatLockFile: hashes every entry when all have one', () => {
+  const { text, entries } = formatLockFile({
+    install: [
+      reportItem('tomli-w', '1.2.0', { url: 'https://files.example/tomli_w.whl', archive_info: { hashes: { sha256: 'a'.repeat(64) } } }),
+      reportItem('Numpy', '1.26.4', { url: 'https://files.example/numpy.whl', archive_info: { hash: `sha256=${'b'.repeat(64)}` } }),
+    ],
+  });
+  assert.deepEqual(entries.map(entry => entry.hash), [HASH_B, HASH_A]);
+  assert.match(text, new RegExp(`^Numpy==1\\.26\\.4 \\\\\\n    --hash=${HASH_B}$`, 'm'));
+  assert.match(text, new RegExp(`^tomli-w==1\\.2\\.0 \\\\\\n    --hash=${HASH_A}$`, 'm'));
+});
+
+test('formatLockFile: a mixed lock is written without hashes', () => {
+  const { text, entries } = formatLockFile({
+    install: [
+      reportItem('tomli-w', '1.2.0', { url: 'https://files.example/tomli_w.whl', archive_info: { hashes: { sha256: 'a'.repeat(64) } } }),
+      reportItem('localpkg', '0.1', { url: 'file:///work/localpkg', dir_info: {} }, true),
+      reportItem('mylib', '1.0', { url: 'https://git.example/mylib', vcs_info: { vcs: 'git', commit_id: 'abc123' } }, true),
+    ],
+  });
+  assert.deepEqual(entries.map(entry => Boolean(entry.hash)), [false, false, true]);
+  assert.doesNotMatch(text, /--hash/);
+  assert.match(text, /^localpkg @ file:\/\/\/work\/localpkg$/m);
+  assert.match(text, /^mylib @ git\+https:\/\/git\.example\/mylib@abc123$/m);
+  assert.match(text, /^tomli-w==1\.2\.0$/m);
+});
+
+test('planLockInstall: a fully hashed lock is installed with --require-hashes', () => {
+  const plan = planLockInstall(`# header\ntomli-w==1.2.0 \\\n    --hash=${HASH_A}\nnumpy==1.26.4 \\\n    --hash=${HASH_B} \\\n    --hash=${HASH_A}\n`);
+  assert.deepEqual(plan, { count: 2, requireHashes: true, unhashedText: null });
+});
+
+test('planLockInstall: an unhashed lock is installed as is', () => {
+  assert.deepEqual(planLockInstall('tomli-w==1.2.0\r\nlocalpkg @ file:///work/localpkg\n\n'), { count: 2, requireHashes: false, unhashedText: null });
+  assert.deepEqual(planLockInstall('# nothing locked\n'), { count: 0, requireHashes: false, unhashedText: null });
+});
+
+test('planLockInstall: a mixed lock drops every hash', () => {
+  const plan = planLockInstall([
+    '# Generated by an older python_env_sync',
+    'tomli-w==1.2.0 \\',
+    `    --hash=${HASH_A}`,
+    'localpkg @ file:///work/localpkg',
+    `numpy==1.26.4 --hash ${HASH_B}`,
+    'mylib @ git+https://git.example/mylib@abc123',
+    '',
+  ].join('\n'));
+  assert.equal(plan.count, 4);
+  assert.equal(plan.requireHashes, false);
+  assert.equal(plan.unhashedText, 'tomli-w==1.2.0\nlocalpkg @ file:///work/localpkg\nnumpy==1.26.4\nmylib @ git+https://git.example/mylib@abc123\n');
+});
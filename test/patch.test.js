@@ -0,0 +1,164 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, readdirSync, rmSync, existsSync, realpathSync } from 'node:fs';
+import fsPromises from 'node:fs/promises';
+import { syncBuiltinESMExports } from 'node:module';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MCPServer } from '../src/index.js';
+
+const base = realpathSync(mkdtempSync(join(tmpdir(), 'patch-test-')));
+after(() => rmSync(base, { recursive: true, force: true }));
+
+let workspace;
+let run = 0;
+
+// Only diff parsing and patching are exercised, so skip the constructor's workspace setup
+const server = Object.create(MCPServer.prototype);
+server.logger = { error() {}, warn() {}, info() {}, debug() {} };
+
+beforeEach(() => {
+  workspace = join(base, `ws${run++}`);
+  mkdirSync(workspace);
+  server.workDir = workspace;
+  server.allowedRoots = [{ path: workspace, writable: true }];
+  server.packageDirs = [];
+});
+
+const read = name => readFileSync(join(workspace, name), 'utf8');
+
+test('parseUnifiedDiff: files, hunks and line counts', () => {
+  const files = server.parseUnifiedDiff([
+    'diff --git a/one.txt b/one.txt',
+    'index 0000000..1111111 100644',
+    '--- a/one.txt',
+    '+++ b/one.txt',
+    '@@ -1,2 +1,2 @@',
+    ' keep',
+    '-old',
+    '+new',
+    '--- /dev/null',
+    '+++ b/two.txt\t2024-01-01 00:00:00',
+    '@@ -0,0 +1 @@',
+    '+created',
+    '',
+  ].join('\n'));
+  assert.equal(files.length, 2);
+  assert.deepEqual(files[0].hunks[0].oldLines, ['keep', 'old']);
+  assert.deepEqual(files[0].hunks[0].newLines, ['keep', 'new']);
+  assert.equal(files[1].oldPath, null);
+  assert.equal(files[1].newPath, 'two.txt');
+  assert.deepEqual(files[1].hunks[0].newLines, ['created']);
+});
+
+test('parseUnifiedDiff: removed lines that look like file headers stay in the hunk', () => {
+  const files = server.parseUnifiedDiff([
+    '--- a/notes.md',
+    '+++ b/notes.md',
+    '@@ -1,2 +1,1 @@',
+    '-- item',
+    '--- heading',
+    '+++ not a header',
+    '',
+  ].join('\n'));
+  assert.equal(files.length, 1);
+  assert.deepEqual(files[0].hunks[0].oldLines, ['- item', '-- heading']);
+  assert.deepEqual(files[0].hunks[0].newLines, ['++ not a header']);
+});
+
+test('parseUnifiedDiff: "No newline at end of file" markers', () => {
+  const [file] = server.parseUnifiedDiff([
+    '--- a/f',
+    '+++ b/f',
+    '@@ -1 +1 @@',
+    '-old',
+    '\\ No newline at end of file',
+    '+new',
+    '\\ No newline at end of file',
+  ].join('\n'));
+  assert.equal(file.hunks[0].oldNoNewline, true);
+  assert.equal(file.hunks[0].newNoNewline, true);
+});
+
+test('parseUnifiedDiff: rejects truncated hunks and stray lines', () => {
+  assert.throws(() => server.parseUnifiedDiff('--- a/f\n+++ b/f\n@@ -1,3 +1,3 @@\n a\n'), /truncated or has wrong line counts/);
+  assert.throws(() => server.parseUnifiedDiff('--- a/f\n+++ b/f\n@@ -1,2 +1,2 @@\n a\n*b\n'), /Unexpected line in hunk/);
+  assert.throws(() => server.parseUnifiedDiff('@@ -1 +1 @@\n-a\n+b\n'), /Hunk before any file header/);
+});
+
+test('applyPatch: patches, creates, renames and deletes together', async () => {
+  writeFileSync(join(workspace, 'edit.txt'), 'one\ntwo\nthree\n');
+  writeFileSync(join(workspace, 'old-name.txt'), 'same\n');
+  writeFileSync(join(workspace, 'gone.txt'), 'bye\n');
+  await server.applyPatch({
+    patch: [
+      '--- a/edit.txt', '+++ b/edit.txt', '@@ -2 +2 @@', '-two', '+TWO',
+      '--- /dev/null', '+++ b/sub/new.txt', '@@ -0,0 +1 @@', '+hello',
+      '--- a/old-name.txt', '+++ b/new-name.txt',
+      '--- a/gone.txt', '+++ /dev/null', '@@ -1 +0,0 @@', '-bye',
+      '',
+    ].join('\n'),
+  });
+  assert.equal(read('edit.txt'), 'one\nTWO\nthree\n');
+  assert.equal(read('sub/new.txt'), 'hello\n');
+  assert.equal(read('new-name.txt'), 'same\n');
+  assert.equal(existsSync(join(workspace, 'old-name.txt')), false);
+  assert.equal(existsSync(join(workspace, 'gone.txt')), false);
+  assert.deepEqual(readdirSync(workspace).filter(name => name.startsWith('.')), []);
+});
+
+test('applyPatch: a rejected hunk leaves every file untouched', async () => {
+  writeFileSync(join(workspace, 'a.txt'), 'a\n');
+  writeFileSync(join(workspace, 'b.txt'), 'b\n');
+  await assert.rejects(server.applyPatch({
+    patch: '--- a/a.txt\n+++ b/a.txt\n@@ -1 +1 @@\n-a\n+A\n--- a/b.txt\n+++ b/b.txt\n@@ -1 +1 @@\n-x\n+X\n',
+  }), /Patch not applied; no files were changed/);
+  assert.equal(read('a.txt'), 'a\n');
+  assert.equal(read('b.txt'), 'b\n');
+});
+
+test('applyPatch: a failure while writing puts every file back', async () => {
+  writeFileSync(join(workspace, 'a.txt'), 'a\n');
+  writeFileSync(join(workspace, 'b.txt'), 'b\n');
+  writeFileSync(join(workspace, 'c.txt'), 'c\n');
+  const patch = [
+    '--- a/a.txt', '+++ b/a.txt', '@@ -1 +1 @@', '-a', '+A',
+    '--- a/b.txt', '+++ /dev/null', '@@ -1 +0,0 @@', '-b',
+    '--- /dev/null', '+++ b/new/d.txt', '@@ -0,0 +1 @@', '+d',
+    '--- a/c.txt', '+++ b/c.txt', '@@ -1 +1 @@', '-c', '+C',
+    '',
+  ].join('\n');
+
+  // Fail the rename that would put c.txt's new content in place, after the
+  // other files have already been swapped
+  const rename = fsPromises.rename;
+  fsPromises.rename = async (from, to) => {
+    if (to === join(workspace, 'c.txt') && from.endsWith('.tmp')) {
+      throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+    }
+    return rename(from, to);
+  };
+  syncBuiltinESMExports();
+  try {
+    await assert.rejects(server.applyPatch({ patch }), /Patch not applied; no files were changed: ENOSPC/);
+  } finally {
+    fsPromises.rename = rename;
+    syncBuiltinESMExports();
+  }
+
+  assert.equal(read('a.txt'), 'a\n');
+  assert.equal(read('b.txt'), 'b\n');
+  assert.equal(read('c.txt'), 'c\n');
+  assert.equal(existsSync(join(workspace, 'new')), false);
+  assert.deepEqual(readdirSync(workspace).sort(), ['a.txt', 'b.txt', 'c.txt']);
+});
+
+test('applyPatch: a failure while staging changes nothing', async () => {
+  writeFileSync(join(workspace, 'a.txt'), 'a\n');
+  writeFileSync(join(workspace, 'blocker'), 'a file, not a directory\n');
+  await assert.rejects(server.applyPatch({
+    patch: '--- a/a.txt\n+++ b/a.txt\n@@ -1 +1 @@\n-a\n+A\n--- /dev/null\n+++ b/blocker/new.txt\n@@ -0,0 +1 @@\n+x\n',
+  }), /Patch not applied; no files were changed/);
+  assert.equal(read('a.txt'), 'a\n');
+  assert.deepEqual(readdirSync(workspace).sort(), ['a.txt', 'blocker']);
+});
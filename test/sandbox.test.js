@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Sandbox } from '../src/index.js';
+
+const settings = {
+  enableSandbox: true,
+  sandboxAllowNetwork: false,
+  sandboxCpuSeconds: 60,
+  sandboxMaxProcesses: 64,
+};
+
+// Skip detect(): the backend is set directly, so no sandbox tool needs to be installed
+function sandbox(backend) {
+  const result = new Sandbox({ get: key => settings[key] }, {}, [{ path: '/work', writable: true }]);
+  result.backend = backend;
+  result.executable = `/usr/bin/${backend}`;
+  return result;
+}
+
+test('wrap: one-off commands run in a new session', () => {
+  const argv = sandbox('bwrap').wrap(['python', '-c', 'pass'], { cwd: '/work' });
+  assert.ok(argv.includes('--new-session'));
+  assert.deepEqual(argv.slice(argv.indexOf('--')), ['--', 'python', '-c', 'pass']);
+  assert.ok(!sandbox('nsjail').wrap(['true'], { cwd: '/work' }).includes('--skip_setsid'));
+});
+
+test('wrap: terminal processes keep their controlling terminal', () => {
+  const bwrap = sandbox('bwrap').wrap(['/bin/bash'], { cwd: '/work', terminal: true });
+  assert.ok(!bwrap.includes('--new-session'));
+  assert.equal(bwrap.at(-1), '/bin/bash');
+
+  const nsjail = sandbox('nsjail').wrap(['/bin/bash'], { cwd: '/work', terminal: true });
+  assert.ok(nsjail.indexOf('--skip_setsid') < nsjail.indexOf('--'));
+});
+
+test('wrap: returns the argv unchanged when disabled', () => {
+  const disabled = new Sandbox({ get: key => (key === 'enableSandbox' ? false : settings[key]) }, {}, []);
+  assert.deepEqual(disabled.wrap(['true'], { cwd: '/work', terminal: true }), ['true']);
+});
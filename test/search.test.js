@@ -0,0 +1,113 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, realpathSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MCPServer } from '../src/index.js';
+
+const workspace = realpathSync(mkdtempSync(join(tmpdir(), 'search-test-')));
+after(() => rmSync(workspace, { recursive: true, force: true }));
+
+function writeFiles(files) {
+  for (const [name, content] of Object.entries(files)) {
+    mkdirSync(join(workspace, name, '..'), { recursive: true });
+    writeFileSync(join(workspace, name), content);
+  }
+}
+
+writeFiles({
+  '.gitignore': '# build output\n*.log\n/dist/\nbuild/\n!keep.log\ncache\n',
+  'app.py': 'import os\nTODO = 1\nprint(TODO)\n',
+  'notes.log': 'TODO in a log\n',
+  'keep.log': 'TODO kept\n',
+  'dist/out.py': 'TODO\n',
+  'src/dist/inner.py': 'TODO nested dist\n',
+  'src/build/gen.py': 'TODO generated\n',
+  'src/cache': 'TODO cache file\n',
+  'src/.gitignore': 'local.py\n',
+  'src/local.py': 'TODO local\n',
+  'src/main.py': 'a = "TODO"\nb = 2\nc = "todo"\n',
+  'src/image.bin': Buffer.from([0, 84, 79, 68, 79]),
+  'node_modules/pkg/index.js': 'TODO\n',
+});
+
+// Only searching is exercised, so skip the constructor's workspace setup
+const server = Object.create(MCPServer.prototype);
+server.workDir = workspace;
+server.allowedRoots = [{ path: workspace, writable: true }];
+
+const search = async (args) => (await server.searchFiles({ search_content: true, ...args })).structuredContent;
+
+test('parseGitignore: comments, negation, anchoring and directory rules', () => {
+  const rules = server.parseGitignore('# comment\n\n*.log\n!keep.log\n/dist/\nsrc/*.tmp\nspaced\\ \r\n', '/w');
+  assert.equal(rules.length, 5);
+  assert.deepEqual(rules.map(({ negate, dirOnly }) => [negate, dirOnly]), [[false, false], [true, false], [false, true], [false, false], [false, false]]);
+
+  const ignored = (path, isDirectory = false) => server.isGitignored(rules, join('/w', path), isDirectory);
+  assert.equal(ignored('a.log'), true);
+  assert.equal(ignored('deep/er/a.log'), true);
+  assert.equal(ignored('keep.log'), false);
+  assert.equal(ignored('dist', true), true);
+  assert.equal(ignored('dist'), false);
+  assert.equal(ignored('src/dist', true), false);
+  assert.equal(ignored('src/a.tmp'), true);
+  assert.equal(ignored('lib/src/a.tmp'), false);
+  assert.equal(ignored('spaced '), true);
+  // Rules never reach outside their own directory
+  assert.equal(server.isGitignored(rules, '/other/a.log', false), false);
+});
+
+test('search: content search honours .gitignore files at every level', async () => {
+  const result = await search({ pattern: 'TODO' });
+  assert.deepEqual(result.files, ['app.py', 'keep.log', 'src/dist/inner.py', 'src/main.py']);
+  assert.deepEqual(result.matches.map(({ file, line, column }) => [file, line, column]), [
+    ['app.py', 2, 1], ['app.py', 3, 7], ['keep.log', 1, 1], ['src/dist/inner.py', 1, 1], ['src/main.py', 1, 6],
+  ]);
+  assert.equal(result.files_skipped, 1);
+  assert.equal(result.truncated, false);
+
+  const everything = await search({ pattern: 'TODO', respect_gitignore: false, exclude: [] });
+  assert.ok(everything.files.includes('notes.log'));
+  assert.ok(everything.files.includes('node_modules/pkg/index.js'));
+});
+
+test('search: rules from .gitignore files above the search root apply', async () => {
+  const result = await search({ pattern: 'TODO', path: 'src' });
+  assert.deepEqual(result.files, ['dist/inner.py', 'main.py']);
+});
+
+test('search: include globs, case and regular expressions', async () => {
+  assert.deepEqual((await search({ pattern: 'TODO', include: ['*.log'] })).files, ['keep.log']);
+  assert.deepEqual((await search({ pattern: 'todo', case_sensitive: false, include: ['src/**'] })).matches.map(item => item.line), [1, 1, 3]);
+  assert.deepEqual((await search({ pattern: '^[bc] = ', regex: true })).matches.map(item => item.match), ['b = ', 'c = ']);
+});
+
+test('search: context lines', async () => {
+  const [match] = (await search({ pattern: 'b = 2', context_lines: 1 })).matches;
+  assert.deepEqual(match.before, ['a = "TODO"']);
+  assert.deepEqual(match.after, ['c = "todo"']);
+});
+
+test('search: truncated only when matches remain past max_results', async () => {
+  // The default search finds exactly five matches
+  const exact = await search({ pattern: 'TODO', max_results: 5 });
+  assert.equal(exact.matches.length, 5);
+  assert.equal(exact.truncated, false);
+
+  const short = await search({ pattern: 'TODO', max_results: 4 });
+  assert.equal(short.matches.length, 4);
+  assert.equal(short.truncated, true);
+  assert.deepEqual(short.files, ['app.py', 'keep.log', 'src/dist/inner.py']);
+
+  // The extra match is in the same file as the last kept one
+  const sameFile = await search({ pattern: 'TODO', max_results: 1 });
+  assert.deepEqual(sameFile.matches.map(item => item.line), [2]);
+  assert.equal(sameFile.truncated, true);
+});
+
+test('search: file name search reports truncation past max_results', async () => {
+  const exact = (await server.searchFiles({ pattern: '*.log', max_results: 2 })).structuredContent;
+  assert.deepEqual(exact.files, [join(workspace, 'keep.log'), join(workspace, 'notes.log')]);
+  assert.equal(exact.truncated, false);
+  assert.equal((await server.searchFiles({ pattern: '*.log', max_results: 1 })).structuredContent.truncated, true);
+});
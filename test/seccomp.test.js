@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSeccompFilter, SECCOMP_DENIED_SYSCALLS, AUDIT_ARCH } from '../src/index.js';
+
+const RET_ALLOW = 0x7fff0000;
+const RET_ERRNO_EPERM = 0x00050001;
+const RET_KILL_PROCESS = 0x80000000;
+const AUDIT_ARCH_I386 = 0x40000003;
+const X32_SYSCALL_BIT = 0x40000000;
+
+// Decode struct sock_filter[] and run it against a seccomp_data
+function runFilter(buffer, { arch, nr }) {
+  const program = [];
+  for (let offset = 0; offset < buffer.length; offset += 8) {
+    program.push({
+      code: buffer.readUInt16LE(offset),
+      jt: buffer.readUInt8(offset + 2),
+      jf: buffer.readUInt8(offset + 3),
+      k: buffer.readUInt32LE(offset + 4),
+    });
+  }
+
+  let accumulator = 0;
+  for (let pc = 0; pc < program.length; pc++) {
+    const { code, jt, jf, k } = program[pc];
+    switch (code) {
+      case 0x20: // BPF_LD | BPF_W | BPF_ABS
+        if (k === 0) accumulator = nr >>> 0;
+        else if (k === 4) accumulator = arch >>> 0;
+        else throw new Error(`unexpected load offset ${k}`);
+        break;
+      case 0x15: // BPF_JMP | BPF_JEQ | BPF_K
+        pc += accumulator === k ? jt : jf;
+        break;
+      case 0x35: // BPF_JMP | BPF_JGE | BPF_K
+        pc += accumulator >= k ? jt : jf;
+        break;
+      case 0x06: // BPF_RET | BPF_K
+        return k;
+      default:
+        throw new Error(`unexpected instruction 0x${code.toString(16)} at ${pc}`);
+    }
+  }
+  throw new Error('program ran off the end without returning');
+}
+
+for (const arch of Object.keys(SECCOMP_DENIED_SYSCALLS)) {
+  test(`${arch}: denied syscalls return EPERM`, () => {
+    const filter = buildSeccompFilter(arch);
+    for (const [name, nr] of Object.entries(SECCOMP_DENIED_SYSCALLS[arch])) {
+      assert.equal(runFilter(filter, { arch: AUDIT_ARCH[arch], nr }), RET_ERRNO_EPERM, name);
+    }
+  });
+
+  test(`${arch}: other syscalls are allowed`, () => {
+    const filter = buildSeccompFilter(arch);
+    const denied = new Set(Object.values(SECCOMP_DENIED_SYSCALLS[arch]));
+    for (let nr = 0; nr < 450; nr++) {
+      if (denied.has(nr)) continue;
+      assert.equal(runFilter(filter, { arch: AUDIT_ARCH[arch], nr }), RET_ALLOW, `syscall ${nr}`);
+    }
+  });
+
+  test(`${arch}: syscalls from another ABI kill the process`, () => {
+    const filter = buildSeccompFilter(arch);
+    const foreign = [AUDIT_ARCH_I386, ...Object.values(AUDIT_ARCH).filter(value => value !== AUDIT_ARCH[arch])];
+    for (const foreignArch of foreign) {
+      for (const nr of [0, 21, 26, 172, 310]) {
+        assert.equal(runFilter(filter, { arch: foreignArch, nr }), RET_KILL_PROCESS, `arch 0x${foreignArch.toString(16)} nr ${nr}`);
+      }
+    }
+  });
+}
+
+test('x64: x32 ABI syscalls return EPERM', () => {
+  const filter = buildSeccompFilter('x64');
+  for (const nr of [0, 1, SECCOMP_DENIED_SYSCALLS.x64.unshare, SECCOMP_DENIED_SYSCALLS.x64.mount, 512]) {
+    assert.equal(runFilter(filter, { arch: AUDIT_ARCH.x64, nr: nr | X32_SYSCALL_BIT }), RET_ERRNO_EPERM, `x32 syscall ${nr}`);
+  }
+});
+
+test('unsupported architectures get no filter', () => {
+  assert.equal(buildSeccompFilter('ia32'), null);
+});